@@ -11,9 +11,35 @@ const state = {
     projects: [],
     articles: [],
     chatMessages: [],
-    chatSessionId: localStorage.getItem('chatSessionId') || 'session_' + Math.random().toString(36).substr(2, 9),
+    // Issued by the server with the first reply
+    chatSessionId: localStorage.getItem('chatSessionId'),
+    chatSessions: [],
+    chatAttachments: [],
+    chatUploads: 0,
     isLoading: false,
-    socket: null
+    socket: null,
+    chatAbort: null,
+    lightbox: null,
+    contactChallenge: null,
+    commentThread: null,
+    // Bumped on every navigation so slow page loads can tell they are outdated
+    renderId: 0,
+    admin: {
+        projects: [],
+        articles: [],
+        messages: [],
+        analyticsRange: 30,
+        messageFilter: '',
+        messageStatus: 'inbox',
+        messageSearch: '',
+        emailFilter: '',
+        commentFilter: 'pending',
+        users: [],
+        roles: null,
+        userFilter: { q: '', role: '' },
+        chatFilter: { q: '', flagged: '' },
+        chatPage: 1
+    }
 };
 
 // =====================================================
@@ -28,16 +54,33 @@ function showToast(message, type = 'info') {
     setTimeout(() => toast.remove(), 3000);
 }
 
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// The server enforces every permission; this only decides what to show
+const can = permission => Boolean(state.user?.permissions?.includes(permission));
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
 // =====================================================
 // API SERVICE
 // =====================================================
 
 const api = {
-    async request(endpoint, options = {}) {
-        const headers = {
-            'Content-Type': 'application/json',
-            ...options.headers
-        };
+    refreshing: null,
+    
+    async request(endpoint, options = {}, canRetry = true) {
+        // Let the browser set the multipart boundary for uploads
+        const headers = options.body instanceof FormData
+            ? { ...options.headers }
+            : { 'Content-Type': 'application/json', ...options.headers };
         
         if (state.token) {
             headers['Authorization'] = `Bearer ${state.token}`;
@@ -49,6 +92,14 @@ const api = {
                 headers
             });
             
+            // Access tokens are short-lived: refresh once and replay the request.
+            // If the session is gone the replay goes out signed out, which
+            // public endpoints still answer.
+            if (response.status === 401 && canRetry && state.token) {
+                await this.refreshSession();
+                return this.request(endpoint, options, false);
+            }
+            
             const data = await response.json();
             
             if (!response.ok) {
@@ -63,33 +114,113 @@ const api = {
         }
     },
     
+    setSession({ token, user }) {
+        state.token = token;
+        state.user = user;
+        localStorage.setItem('token', token);
+        localStorage.setItem('user', JSON.stringify(user));
+    },
+    
+    clearSession() {
+        state.token = null;
+        state.user = null;
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+    },
+    
+    // Exchanges the httpOnly refresh cookie for a new access token.
+    // Concurrent callers share one in-flight refresh.
+    refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = fetch('/api/auth/refresh', { method: 'POST' })
+                .then(async response => {
+                    if (!response.ok) {
+                        this.clearSession();
+                        updateUserInterface();
+                        return false;
+                    }
+                    this.setSession(await response.json());
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    },
+    
     async login(email, password) {
         const data = await this.request('/auth/login', {
             method: 'POST',
             body: JSON.stringify({ email, password })
         });
-        state.token = data.token;
-        state.user = data.user;
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+        this.setSession(data);
         return data;
     },
     
     async register(userData) {
-        return this.request('/auth/register', {
+        const data = await this.request('/auth/register', {
             method: 'POST',
             body: JSON.stringify(userData)
         });
+        this.setSession(data);
+        return data;
     },
     
-    logout() {
-        state.token = null;
-        state.user = null;
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    async verifyEmail(token) {
+        return this.request('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+    },
+    
+    async resendVerification() {
+        return this.request('/auth/resend-verification', {
+            method: 'POST'
+        });
+    },
+    
+    async forgotPassword(email) {
+        return this.request('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+    },
+    
+    async resetPassword(token, password) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, password })
+        });
+    },
+    
+    async logout() {
+        try {
+            await this.request('/auth/logout', { method: 'POST' });
+        } catch (error) {
+            // Signing out locally still matters if the server call fails
+        }
+        this.clearSession();
         window.location.reload();
     },
     
+    async getSessions() {
+        return this.request('/user/sessions');
+    },
+    
+    async revokeSession(id) {
+        return this.request(`/user/sessions/${id}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async revokeOtherSessions() {
+        return this.request('/user/sessions', {
+            method: 'DELETE'
+        });
+    },
+    
     async getProjects(params = {}) {
         const query = new URLSearchParams(params).toString();
         const data = await this.request(`/projects${query ? '?' + query : ''}`);
@@ -101,9 +232,15 @@ const api = {
         return this.request(`/projects/${id}`);
     },
     
-    async likeProject(id) {
+    async likeProject(id, liked = true) {
         return this.request(`/projects/${id}/like`, {
-            method: 'POST'
+            method: liked ? 'POST' : 'DELETE'
+        });
+    },
+    
+    async likeArticle(id, liked = true) {
+        return this.request(`/articles/${id}/like`, {
+            method: liked ? 'POST' : 'DELETE'
         });
     },
     
@@ -118,13 +255,34 @@ const api = {
         return this.request(`/articles/${slug}`);
     },
     
-    async commentOnArticle(articleId, content) {
+    async getComments(articleId) {
+        return this.request(`/articles/${articleId}/comments`);
+    },
+    
+    async commentOnArticle(articleId, content, parentId = null) {
         return this.request(`/articles/${articleId}/comments`, {
             method: 'POST',
+            body: JSON.stringify({ content, parentId })
+        });
+    },
+    
+    async editComment(articleId, commentId, content) {
+        return this.request(`/articles/${articleId}/comments/${commentId}`, {
+            method: 'PUT',
             body: JSON.stringify({ content })
         });
     },
     
+    async deleteComment(articleId, commentId) {
+        return this.request(`/articles/${articleId}/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async getContactChallenge() {
+        return this.request('/contact/challenge');
+    },
+    
     async sendContact(data) {
         return this.request('/contact', {
             method: 'POST',
@@ -132,18 +290,78 @@ const api = {
         });
     },
     
-    async sendChat(message) {
-        return this.request('/chat', {
+    // Reads the Server-Sent Events stream from /chat/stream, calling
+    // onEvent(event, data) for each one; abort via the signal to stop generation
+    async streamChat(message, { attachments = [], signal, onEvent }, canRetry = true) {
+        const response = await fetch('/api/chat/stream', {
             method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(state.token ? { 'Authorization': `Bearer ${state.token}` } : {})
+            },
             body: JSON.stringify({
                 message,
-                sessionId: state.chatSessionId
-            })
+                sessionId: state.chatSessionId,
+                attachments: attachments.map(attachment => attachment.url)
+            }),
+            signal
+        });
+        
+        if (response.status === 401 && canRetry && state.token) {
+            await this.refreshSession();
+            return this.streamChat(message, { attachments, signal, onEvent }, false);
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Chat request failed');
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            
+            for (const frame of frames) {
+                const event = frame.match(/^event: (.*)$/m)?.[1] || 'message';
+                const data = frame.match(/^data: (.*)$/m)?.[1];
+                if (data) onEvent(event, JSON.parse(data));
+            }
+        }
+    },
+    
+    async uploadChatImage(file) {
+        const formData = new FormData();
+        formData.append('image', file);
+        return this.request('/chat/attachments', {
+            method: 'POST',
+            body: formData
+        });
+    },
+    
+    async getChatHistory(sessionId) {
+        return this.request(`/chat/history/${sessionId}`);
+    },
+    
+    async getChatSessions() {
+        return this.request('/chat/sessions');
+    },
+    
+    async renameChatSession(sessionId, title) {
+        return this.request(`/chat/sessions/${sessionId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ title })
         });
     },
     
-    async getChatHistory() {
-        return this.request(`/chat/history/${state.chatSessionId}`);
+    async deleteChatSession(sessionId) {
+        return this.request(`/chat/sessions/${sessionId}`, { method: 'DELETE' });
     },
     
     async getProfile() {
@@ -169,6 +387,187 @@ const api = {
         state.user = result;
         localStorage.setItem('user', JSON.stringify(result));
         return result;
+    },
+    
+    async saveProject(id, data, files = []) {
+        const formData = new FormData();
+        formData.append('data', JSON.stringify(data));
+        files.forEach(file => formData.append('images', file));
+        
+        return this.request(id ? `/projects/${id}` : '/projects', {
+            method: id ? 'PUT' : 'POST',
+            body: formData
+        });
+    },
+    
+    async deleteProject(id) {
+        return this.request(`/projects/${id}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async getAdminArticles(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/articles${query ? '?' + query : ''}`);
+    },
+    
+    async saveArticle(id, data, coverImage) {
+        const formData = new FormData();
+        formData.append('data', JSON.stringify(data));
+        if (coverImage) {
+            formData.append('coverImage', coverImage);
+        }
+        
+        return this.request(id ? `/articles/${id}` : '/articles', {
+            method: id ? 'PUT' : 'POST',
+            body: formData
+        });
+    },
+    
+    async deleteArticle(id) {
+        return this.request(`/articles/${id}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async getMessages(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/messages${query ? '?' + query : ''}`);
+    },
+    
+    async markMessageRead(id) {
+        return this.request(`/admin/messages/${id}/read`, {
+            method: 'PUT'
+        });
+    },
+    
+    async replyToMessage(id, body) {
+        return this.request(`/admin/messages/${id}/reply`, {
+            method: 'POST',
+            body: JSON.stringify({ body })
+        });
+    },
+    
+    async setMessageStatus(id, status) {
+        return this.request(`/admin/messages/${id}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status })
+        });
+    },
+    
+    async deleteMessage(id) {
+        return this.request(`/admin/messages/${id}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async getEmails(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/emails${query ? '?' + query : ''}`);
+    },
+    
+    async getChats(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/chats${query ? '?' + query : ''}`);
+    },
+    
+    async getChat(sessionId) {
+        return this.request(`/admin/chats/${sessionId}`);
+    },
+    
+    async flagChat(sessionId, flagged, note) {
+        return this.request(`/admin/chats/${sessionId}/flag`, {
+            method: 'PUT',
+            body: JSON.stringify({ flagged, ...(note ? { note } : {}) })
+        });
+    },
+    
+    // Exports are files, so this bypasses request() and saves the response body
+    async downloadChats(params = {}, canRetry = true) {
+        const query = new URLSearchParams(params).toString();
+        const response = await fetch(`/api/admin/chats/export?${query}`, {
+            headers: { 'Authorization': `Bearer ${state.token}` }
+        });
+        
+        if (response.status === 401 && canRetry && await this.refreshSession()) {
+            return this.downloadChats(params, false);
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Export failed');
+        }
+        
+        const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `chats.${params.format}`;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = filename;
+        link.click();
+        // Some browsers start the download asynchronously, so free the blob later
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+    
+    async retryEmail(id) {
+        return this.request(`/admin/emails/${id}/retry`, {
+            method: 'POST'
+        });
+    },
+    
+    async bulkMessages(ids, action) {
+        return this.request('/admin/messages/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ ids, action })
+        });
+    },
+    
+    async getAnalytics(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/analytics${query ? '?' + query : ''}`);
+    },
+    
+    async getViewTrends(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/views${query ? '?' + query : ''}`);
+    },
+    
+    async getCommentQueue(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/comments${query ? '?' + query : ''}`);
+    },
+    
+    async moderateComment(articleId, commentId, status) {
+        return this.request(`/admin/articles/${articleId}/comments/${commentId}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status })
+        });
+    },
+    
+    async getRoles() {
+        return this.request('/admin/roles');
+    },
+    
+    async getUsers(params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/admin/users${query ? '?' + query : ''}`);
+    },
+    
+    async setUserRole(id, role) {
+        return this.request(`/admin/users/${id}/role`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+    },
+    
+    async suspendUser(id, suspended, reason = '') {
+        return this.request(`/admin/users/${id}/suspend`, {
+            method: 'PUT',
+            body: JSON.stringify({ suspended, reason })
+        });
+    },
+    
+    async deleteUser(id) {
+        return this.request(`/admin/users/${id}`, {
+            method: 'DELETE'
+        });
     }
 };
 
@@ -279,42 +678,263 @@ window.toggleAIChat = function() {
     container.classList.toggle('hidden');
 };
 
+const CHAT_GREETING = 'Halo! Saya TEGUH AI, asisten virtual Muhammad Teguh Marwin. Ada yang bisa saya bantu?';
+
+function setChatSessionId(sessionId) {
+    state.chatSessionId = sessionId;
+    if (sessionId) {
+        localStorage.setItem('chatSessionId', sessionId);
+    } else {
+        localStorage.removeItem('chatSessionId');
+    }
+}
+
+function resetChatMessages() {
+    document.getElementById('aiChatMessages').innerHTML = '';
+    addChatMessage('ai', CHAT_GREETING);
+}
+
+function renderChatHistory(chatMessages) {
+    if (!chatMessages.length) {
+        resetChatMessages();
+        return;
+    }
+    document.getElementById('aiChatMessages').innerHTML = '';
+    chatMessages.forEach(msg => addChatMessage(msg.role === 'assistant' ? 'ai' : msg.role, msg.content, msg.html, msg.attachments));
+}
+
+// Restores the stored conversation, forgetting it if it expired or belongs to
+// someone else (e.g. after logging out). If the sign-in lapsed while loading,
+// the list only shows visitor chats, so the id is kept for the next login.
+async function loadChatHistory() {
+    const wasSignedIn = Boolean(state.token);
+    const { sessions } = await api.getChatSessions();
+    state.chatSessions = sessions;
+    if (!sessions.some(session => session.sessionId === state.chatSessionId)) {
+        if (!wasSignedIn || state.token) {
+            setChatSessionId(null);
+        }
+        return;
+    }
+    
+    const data = await api.getChatHistory(state.chatSessionId);
+    renderChatHistory(data.messages || []);
+}
+
+// --- Conversation list ----------------------------------
+
+function renderChatSessions() {
+    const list = document.getElementById('aiChatSessions');
+    list.innerHTML = `
+        <button class="ai-chat-new" onclick="window.newAIChat()">＋ Percakapan baru</button>
+        ${state.chatSessions.map(session => `
+            <div class="ai-chat-session ${session.sessionId === state.chatSessionId ? 'active' : ''}" onclick="window.switchAIChat('${session.sessionId}')">
+                <div class="ai-chat-session-info">
+                    <p class="ai-chat-session-title">${escapeHtml(session.title)}</p>
+                    <p class="ai-chat-session-meta">${session.messageCount} pesan · ${new Date(session.updatedAt).toLocaleString()}</p>
+                </div>
+                <button onclick="event.stopPropagation(); window.renameAIChat('${session.sessionId}')" title="Ganti nama">✎</button>
+                <button onclick="event.stopPropagation(); window.deleteAIChat('${session.sessionId}')" title="Hapus percakapan">🗑</button>
+            </div>
+        `).join('') || '<p class="ai-chat-session-meta">Belum ada percakapan.</p>'}
+    `;
+}
+
+function showChatSessions(visible) {
+    document.getElementById('aiChatContainer').classList.toggle('show-sessions', visible);
+}
+
+window.toggleChatSessions = async function() {
+    const container = document.getElementById('aiChatContainer');
+    if (container.classList.contains('show-sessions')) {
+        showChatSessions(false);
+        return;
+    }
+    
+    try {
+        const { sessions } = await api.getChatSessions();
+        state.chatSessions = sessions;
+        renderChatSessions();
+        showChatSessions(true);
+    } catch (error) {
+        console.error('Failed to load conversations:', error);
+    }
+};
+
+window.newAIChat = function() {
+    if (state.isLoading) return;
+    setChatSessionId(null);
+    resetChatMessages();
+    showChatSessions(false);
+};
+
+window.switchAIChat = async function(sessionId) {
+    if (state.isLoading) return;
+    try {
+        const data = await api.getChatHistory(sessionId);
+        setChatSessionId(sessionId);
+        renderChatHistory(data.messages || []);
+        showChatSessions(false);
+    } catch (error) {
+        console.error('Failed to open conversation:', error);
+    }
+};
+
+window.renameAIChat = async function(sessionId) {
+    const session = state.chatSessions.find(s => s.sessionId === sessionId);
+    const title = prompt('Nama percakapan:', session?.title || '')?.trim();
+    if (!title) return;
+    
+    try {
+        const updated = await api.renameChatSession(sessionId, title);
+        Object.assign(session, updated);
+        renderChatSessions();
+    } catch (error) {
+        console.error('Failed to rename conversation:', error);
+    }
+};
+
+window.deleteAIChat = async function(sessionId) {
+    if (!confirm('Hapus percakapan ini?')) return;
+    
+    try {
+        await api.deleteChatSession(sessionId);
+        state.chatSessions = state.chatSessions.filter(s => s.sessionId !== sessionId);
+        if (sessionId === state.chatSessionId) {
+            setChatSessionId(null);
+            resetChatMessages();
+        }
+        renderChatSessions();
+    } catch (error) {
+        console.error('Failed to delete conversation:', error);
+    }
+};
+
 window.sendAIChat = async function() {
     const input = document.getElementById('aiChatInput');
     const message = input.value.trim();
+    const attachments = state.chatAttachments;
     
-    if (!message || state.isLoading) return;
+    if ((!message && !attachments.length) || state.isLoading) return;
+    if (state.chatUploads > 0) {
+        showToast('Tunggu sampai gambar selesai diunggah', 'info');
+        return;
+    }
     
     input.value = '';
-    addChatMessage('user', message);
+    state.chatAttachments = [];
+    renderChatAttachments();
+    addChatMessage('user', message, null, attachments);
     showTypingIndicator();
     
     state.isLoading = true;
+    state.chatAbort = new AbortController();
+    setChatStreaming(true);
     
+    let bubble = null;
     try {
-        const response = await api.sendChat(message);
-        removeTypingIndicator();
-        addChatMessage('ai', response.message);
-        
-        if (response.sessionId) {
-            state.chatSessionId = response.sessionId;
-            localStorage.setItem('chatSessionId', response.sessionId);
-        }
+        await api.streamChat(message, {
+            attachments,
+            signal: state.chatAbort.signal,
+            onEvent(event, data) {
+                if (event === 'session' && data.sessionId) {
+                    setChatSessionId(data.sessionId);
+                } else if (event === 'token') {
+                    if (!bubble) {
+                        removeTypingIndicator();
+                        bubble = addChatMessage('ai', '');
+                    }
+                    bubble.textContent += data.text;
+                    scrollChatToBottom();
+                } else if (event === 'done' && bubble && data.html) {
+                    setChatMarkdown(bubble, data.html);
+                    scrollChatToBottom();
+                } else if (event === 'error') {
+                    throw new Error(data.message);
+                }
+            }
+        });
     } catch (error) {
-        removeTypingIndicator();
-        addChatMessage('ai', 'Maaf, terjadi kesalahan. Silakan coba lagi.');
+        if (error.name !== 'AbortError') {
+            console.error('Chat error:', error);
+            removeTypingIndicator();
+            addChatMessage('ai', 'Maaf, terjadi kesalahan. Silakan coba lagi.');
+        }
     }
     
+    removeTypingIndicator();
+    // A stopped reply never gets its rendered version, so it stays plain text
+    if (bubble && !bubble.classList.contains('chat-markdown')) {
+        bubble.textContent = bubble.textContent.trim();
+    }
     state.isLoading = false;
+    state.chatAbort = null;
+    setChatStreaming(false);
 };
 
-function addChatMessage(role, content) {
+window.stopAIChat = function() {
+    state.chatAbort?.abort();
+};
+
+function setChatStreaming(streaming) {
+    document.getElementById('aiChatSend')?.classList.toggle('hidden', streaming);
+    document.getElementById('aiChatStop')?.classList.toggle('hidden', !streaming);
+}
+
+function scrollChatToBottom() {
+    const container = document.getElementById('aiChatMessages');
+    container.scrollTop = container.scrollHeight;
+}
+
+// html is the server-rendered (and sanitized) Markdown of an assistant reply;
+// everything else is shown as plain text
+function addChatMessage(role, content, html, attachments = []) {
     const container = document.getElementById('aiChatMessages');
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}-message`;
-    messageDiv.textContent = content;
+    if (html) {
+        setChatMarkdown(messageDiv, html);
+    } else {
+        messageDiv.textContent = content;
+    }
+    if (attachments.length) {
+        messageDiv.insertAdjacentHTML('beforeend', renderChatImages(attachments));
+    }
     container.appendChild(messageDiv);
     container.scrollTop = container.scrollHeight;
+    return messageDiv;
+}
+
+const renderChatImages = (attachments) => `
+    <div class="chat-images">
+        ${attachments.map(a => `<a href="${a.url}" target="_blank" rel="noopener"><img src="${a.url}" alt="Lampiran" loading="lazy"></a>`).join('')}
+    </div>
+`;
+
+function setChatMarkdown(messageDiv, html) {
+    messageDiv.classList.add('chat-markdown');
+    messageDiv.innerHTML = html;
+    
+    messageDiv.querySelectorAll('a[href]').forEach(link => {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    });
+    
+    messageDiv.querySelectorAll('pre').forEach(pre => {
+        const button = document.createElement('button');
+        button.className = 'chat-copy-code';
+        button.textContent = 'Salin';
+        button.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(pre.querySelector('code')?.textContent || pre.textContent);
+                button.textContent = 'Tersalin!';
+            } catch (error) {
+                button.textContent = 'Gagal';
+            }
+            setTimeout(() => { button.textContent = 'Salin'; }, 1500);
+        });
+        pre.appendChild(button);
+    });
 }
 
 function showTypingIndicator() {
@@ -415,6 +1035,7 @@ window.showLoginModal = function() {
                 <input type="password" id="loginPassword" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white">
             </div>
             <button type="submit" class="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Login</button>
+            <button type="button" onclick="showForgotPasswordModal()" class="w-full text-sm text-primary-600 hover:text-primary-700">Forgot password?</button>
         </form>
     `);
     
@@ -428,7 +1049,10 @@ window.showLoginModal = function() {
             showToast('Login successful!', 'success');
             closeModal();
             updateUserInterface();
-            renderDashboard();
+            renderRoute();
+            if (state.chatSessionId) {
+                loadChatHistory().catch(console.error);
+            }
         } catch (error) {
             showToast(error.message, 'error');
         }
@@ -462,7 +1086,35 @@ window.showRegisterModal = function() {
         
         try {
             await api.register({ username, email, password });
-            showToast('Registration successful! Please login.', 'success');
+            showToast('Registration successful! Check your email to verify your account.', 'success');
+            closeModal();
+            updateUserInterface();
+            renderRoute();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+};
+
+window.showForgotPasswordModal = function() {
+    showModal('Forgot Password', `
+        <form id="forgotPasswordForm" class="space-y-4">
+            <p class="text-sm text-gray-500">Enter your account email and we'll send you a link to reset your password.</p>
+            <div>
+                <label class="block text-sm font-medium mb-1">Email</label>
+                <input type="email" id="forgotEmail" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white">
+            </div>
+            <button type="submit" class="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Send Reset Link</button>
+        </form>
+    `);
+    
+    document.getElementById('forgotPasswordForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const email = document.getElementById('forgotEmail').value;
+        
+        try {
+            const result = await api.forgotPassword(email);
+            showToast(result.message, 'success');
             closeModal();
         } catch (error) {
             showToast(error.message, 'error');
@@ -470,6 +1122,52 @@ window.showRegisterModal = function() {
     });
 };
 
+window.showResetPasswordModal = function(token) {
+    showModal('Reset Password', `
+        <form id="resetPasswordForm" class="space-y-4">
+            <div>
+                <label class="block text-sm font-medium mb-1">New Password</label>
+                <input type="password" id="resetPassword" required minlength="6" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white">
+            </div>
+            <div>
+                <label class="block text-sm font-medium mb-1">Confirm Password</label>
+                <input type="password" id="resetPasswordConfirm" required minlength="6" class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white">
+            </div>
+            <button type="submit" class="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Update Password</button>
+        </form>
+    `);
+    
+    document.getElementById('resetPasswordForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const password = document.getElementById('resetPassword').value;
+        const confirmation = document.getElementById('resetPasswordConfirm').value;
+        
+        if (password !== confirmation) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+        
+        try {
+            const result = await api.resetPassword(token, password);
+            api.clearSession();
+            updateUserInterface();
+            showToast(result.message, 'success');
+            showLoginModal();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+};
+
+window.resendVerification = async function() {
+    try {
+        const result = await api.resendVerification();
+        showToast(result.message, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
 window.showProfileModal = async function() {
     try {
         const profile = await api.getProfile();
@@ -517,6 +1215,50 @@ window.showProfileModal = async function() {
     }
 };
 
+window.showSessionsModal = async function() {
+    try {
+        const { sessions } = await api.getSessions();
+        
+        showModal('Active Sessions', `
+            <p class="text-sm text-gray-500 mb-4">Devices currently signed in to your account.</p>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${sessions.map(session => `
+                    <div class="flex items-center gap-3 py-3">
+                        <div class="flex-1 min-w-0">
+                            <p class="font-semibold">${escapeHtml(session.device)} ${session.current ? '<span class="ml-1 px-2 py-0.5 rounded text-[10px] font-bold bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400">This device</span>' : ''}</p>
+                            <p class="text-xs text-gray-500">${escapeHtml(session.ip)} • last active ${new Date(session.lastUsedAt).toLocaleString()}</p>
+                        </div>
+                        ${session.current ? '' : `<button onclick="revokeSession('${session.id}')" class="text-sm text-red-600 hover:text-red-700">Sign out</button>`}
+                    </div>
+                `).join('')}
+            </div>
+            ${sessions.length > 1 ? '<button onclick="revokeOtherSessions()" class="w-full mt-4 px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20">Sign out all other devices</button>' : ''}
+        `);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.revokeSession = async function(id) {
+    try {
+        await api.revokeSession(id);
+        showToast('Device signed out', 'success');
+        window.showSessionsModal();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.revokeOtherSessions = async function() {
+    try {
+        const result = await api.revokeOtherSessions();
+        showToast(result.message, 'success');
+        window.showSessionsModal();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
 window.logout = function() {
     api.logout();
 };
@@ -540,6 +1282,9 @@ function updateUserInterface() {
                     <p class="text-sm text-gray-500">${state.user.email}</p>
                 </div>
                 <button onclick="showProfileModal()" class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700">Profile</button>
+                <button onclick="showSessionsModal()" class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700">Active Sessions</button>
+                ${state.user.emailVerified === false ? '<button onclick="resendVerification()" class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-amber-600">Resend verification email</button>' : ''}
+                ${getAdminTabs().length > 0 ? '<button onclick="navigate(\'/admin\')" class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700">Admin Dashboard</button>' : ''}
                 <button onclick="logout()" class="w-full text-left px-4 py-2 hover:bg-gray-100 dark:hover:bg-gray-700 text-red-600">Logout</button>
             `;
         } else {
@@ -557,12 +1302,14 @@ function updateUserInterface() {
 
 async function renderDashboard() {
     const app = document.getElementById('app');
+    const renderId = state.renderId;
     
     try {
         const [projectsData, articlesData] = await Promise.all([
             api.getProjects({ limit: 6 }),
             api.getArticles({ limit: 4 })
         ]);
+        if (isStaleRender(renderId)) return;
         
         app.innerHTML = `
             <!-- Welcome Card -->
@@ -725,31 +1472,25 @@ async function renderDashboard() {
                     <h2 class="text-2xl font-bold text-gray-800 dark:text-gray-100">Selected Projects</h2>
                     <div class="h-[1px] bg-gray-200 dark:bg-gray-700 flex-1"></div>
                     <div class="flex-shrink-0">
-                        <a href="#" class="inline-block text-sm text-primary-600 hover:text-primary-500 font-medium">View All -></a>
+                        <a href="/projects" data-link class="inline-block text-sm text-primary-600 hover:text-primary-500 font-medium">View All -></a>
                     </div>
                 </div>
                 <div class="grid grid-cols-1 md:grid-cols-3 gap-8">
-                    ${projectsData.projects.length > 0 ? projectsData.projects.map(project => `
-                        <div class="bg-white dark:bg-[#1e293b] rounded-xl overflow-hidden shadow-lg hover:shadow-xl transition-shadow">
-                            ${project.image ? `<img src="${project.image}" alt="${project.title}" class="w-full h-48 object-cover">` : ''}
-                            <div class="p-6">
-                                <h3 class="text-xl font-bold text-gray-900 dark:text-white mb-2">${project.title}</h3>
-                                <p class="text-gray-600 dark:text-gray-400 mb-4">${project.description}</p>
-                                <div class="flex flex-wrap gap-2 mb-4">
-                                    ${project.technologies.slice(0, 3).map(tech => `
-                                        <span class="px-2 py-1 bg-gray-100 dark:bg-gray-800 text-xs rounded-full">${tech}</span>
-                                    `).join('')}
-                                </div>
-                                <div class="flex justify-between items-center">
-                                    <a href="${project.githubUrl || '#'}" target="_blank" class="text-primary-600 hover:text-primary-700 text-sm font-medium">View Project →</a>
-                                    <button onclick="likeProject('${project.id}')" class="flex items-center gap-1 text-gray-500 hover:text-red-500">
-                                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/></svg>
-                                        <span>${project.likes || 0}</span>
-                                    </button>
-                                </div>
-                            </div>
-                        </div>
-                    `).join('') : '<div class="md:col-span-3 text-center py-10 text-gray-500">No projects found.</div>'}
+                    ${projectsData.projects.length > 0 ? projectsData.projects.map(renderProjectCard).join('') : '<div class="md:col-span-3 text-center py-10 text-gray-500">No projects found.</div>'}
+                </div>
+            </section>
+            
+            <!-- Articles Section -->
+            <section id="articles" class="max-w-7xl mx-auto mt-12 mb-12 scroll-mt-32">
+                <div class="flex items-center gap-4 mb-8">
+                    <h2 class="text-2xl font-bold text-gray-800 dark:text-gray-100">Latest Articles</h2>
+                    <div class="h-[1px] bg-gray-200 dark:bg-gray-700 flex-1"></div>
+                    <div class="flex-shrink-0">
+                        <a href="/blog" data-link class="inline-block text-sm text-primary-600 hover:text-primary-500 font-medium">All Articles -></a>
+                    </div>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-8">
+                    ${articlesData.articles.length > 0 ? articlesData.articles.map(renderArticleCard).join('') : '<div class="md:col-span-2 text-center py-10 text-gray-500">No articles yet.</div>'}
                 </div>
             </section>
             
@@ -758,6 +1499,9 @@ async function renderDashboard() {
                 <div class="bg-white dark:bg-[#1e293b] rounded-3xl p-8 shadow-soft dark:shadow-soft-dark">
                     <h2 class="text-2xl font-bold text-gray-900 dark:text-white mb-6">Get In Touch</h2>
                     <form id="contactForm" class="space-y-6">
+                        <div class="absolute -left-[9999px]" aria-hidden="true">
+                            <label>Leave this field empty <input type="text" name="website" tabindex="-1" autocomplete="off"></label>
+                        </div>
                         <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
                             <div>
                                 <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Name</label>
@@ -787,121 +1531,1966 @@ async function renderDashboard() {
         populateTechItems();
         initClock();
         
-        document.getElementById('contactForm')?.addEventListener('submit', async (e) => {
+        state.contactChallenge = null;
+        const contactForm = document.getElementById('contactForm');
+        contactForm?.addEventListener('focusin', prepareContactChallenge);
+        contactForm?.addEventListener('input', prepareContactChallenge);
+        
+        contactForm?.addEventListener('submit', async (e) => {
             e.preventDefault();
             const formData = new FormData(e.target);
             const data = Object.fromEntries(formData);
+            const button = e.target.querySelector('button[type="submit"]');
             
+            button.disabled = true;
+            button.textContent = 'Verifying...';
             try {
-                await api.sendContact(data);
+                const proof = await prepareContactChallenge();
+                await api.sendContact({ ...data, ...proof });
                 showToast('Message sent successfully!', 'success');
                 e.target.reset();
             } catch (error) {
-                showToast('Failed to send message', 'error');
+                console.error('Failed to send message:', error);
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Send Message';
+                state.contactChallenge = null;
             }
         });
         
     } catch (error) {
+        if (isStaleRender(renderId)) return;
         console.error('Failed to load dashboard:', error);
         app.innerHTML = '<div class="text-center text-red-500 py-10">Failed to load content. Please refresh the page.</div>';
     }
 }
 
 // =====================================================
-// SOCKET.IO
+// CONTACT FORM CHALLENGE
 // =====================================================
 
-function initSocket() {
-    state.socket = io();
+function countLeadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+const SHA256_K = Uint32Array.from([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Plain JavaScript SHA-256 for pages served over plain HTTP, where crypto.subtle is missing
+function sha256(bytes) {
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    new DataView(data.buffer).setUint32(length - 4, bytes.length * 8);
     
-    state.socket.on('connect', () => {
-        console.log('Socket connected');
-        state.socket.emit('join', { room: 'general' });
-    });
+    const hash = Uint32Array.from([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const view = new DataView(data.buffer);
     
-    state.socket.on('chat response', (data) => {
-        if (data.error) {
-            showToast(data.error, 'error');
-        } else {
-            addChatMessage('ai', data.response);
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
         }
-    });
+        
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+        }
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+    }
+    
+    const digest = new Uint8Array(32);
+    hash.forEach((value, i) => new DataView(digest.buffer).setUint32(i * 4, value));
+    return digest;
+}
+
+const digestSha256 = async (bytes) => crypto.subtle
+    ? new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+    : sha256(bytes);
+
+// Finds a nonce whose SHA-256 with the challenge starts with `difficulty` zero bits
+async function solveContactChallenge({ token, difficulty }) {
+    const [challenge] = token.split('.');
+    const encoder = new TextEncoder();
+    
+    for (let nonce = 0; ; nonce++) {
+        const digest = await digestSha256(encoder.encode(`${challenge}:${nonce}`));
+        if (countLeadingZeroBits(digest) >= difficulty) {
+            return { challengeToken: token, nonce };
+        }
+    }
+}
+
+// Solving starts once the visitor begins filling in the form, so it is usually
+// done by the time it is sent. Returns the pending proof.
+function prepareContactChallenge() {
+    if (!state.contactChallenge) {
+        state.contactChallenge = api.getContactChallenge().then(solveContactChallenge);
+        state.contactChallenge.catch(error => console.error('Failed to prepare contact challenge:', error));
+    }
+    return state.contactChallenge;
 }
 
 // =====================================================
-// LIKE PROJECT
+// PROJECTS
 // =====================================================
 
-window.likeProject = async (projectId) => {
-    if (!state.user) {
-        showToast('Please login to like projects', 'warning');
-        showLoginModal();
-        return;
+function renderProjectCard(project) {
+    return `
+        <div class="bg-white dark:bg-[#1e293b] rounded-xl overflow-hidden shadow-lg hover:shadow-xl transition-shadow">
+            ${project.image ? `<img src="${project.image}" alt="${project.title}" class="w-full h-48 object-cover">` : ''}
+            <div class="p-6">
+                <h3 class="text-xl font-bold text-gray-900 dark:text-white mb-2">${project.title}</h3>
+                <p class="text-gray-600 dark:text-gray-400 mb-4">${project.description}</p>
+                <div class="flex flex-wrap gap-2 mb-4">
+                    ${project.technologies.slice(0, 3).map(tech => `
+                        <span class="px-2 py-1 bg-gray-100 dark:bg-gray-800 text-xs rounded-full">${tech}</span>
+                    `).join('')}
+                </div>
+                <div class="flex justify-between items-center">
+                    <a href="/projects/${project.id}" data-link class="text-primary-600 hover:text-primary-700 text-sm font-medium">View Project →</a>
+                    ${renderLikeButton('project', project)}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+const PROJECTS_PER_PAGE = 9;
+
+function projectsUrl(filters) {
+    const params = new URLSearchParams(
+        Object.entries(filters).filter(([key, value]) => value && !(key === 'page' && value === '1'))
+    );
+    const query = params.toString();
+    return `/projects${query ? '?' + query : ''}`;
+}
+
+async function renderProjectsPage() {
+    const app = document.getElementById('app');
+    const renderId = state.renderId;
+    const search = new URLSearchParams(window.location.search);
+    const filters = {
+        q: search.get('q') || '',
+        category: search.get('category') || '',
+        technology: search.get('technology') || '',
+        featured: search.get('featured') === 'true' ? 'true' : '',
+        page: search.get('page') || '1'
+    };
+    
+    // Changing any filter starts over from the first page
+    const withFilter = (key, value) => projectsUrl({ ...filters, [key]: value, page: '1' });
+    const chipClass = active => active
+        ? 'px-3 py-1.5 rounded-full text-sm font-medium bg-[#0D9489] text-white'
+        : 'px-3 py-1.5 rounded-full text-sm font-medium bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300 hover:border-[#0D9489]';
+    
+    try {
+        const data = await api.getProjects({
+            ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+            limit: PROJECTS_PER_PAGE
+        });
+        if (isStaleRender(renderId)) return;
+        
+        app.innerHTML = `
+            <section class="max-w-7xl mx-auto mt-8 mb-12">
+                <div class="flex items-center gap-4 mb-8">
+                    <h1 class="text-3xl font-bold text-gray-800 dark:text-gray-100">Projects</h1>
+                    <div class="h-[1px] bg-gray-200 dark:bg-gray-700 flex-1"></div>
+                    <span class="text-sm text-gray-500">${data.total} projects</span>
+                </div>
+                
+                <div class="bg-white dark:bg-[#1e293b] rounded-3xl p-6 shadow-soft dark:shadow-soft-dark mb-8 space-y-4">
+                    <form id="projectSearchForm" class="flex gap-3">
+                        <input type="search" name="q" value="${escapeHtml(filters.q)}" placeholder="Search by title, description or technology..." class="flex-1 px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white">
+                        <button type="submit" class="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Search</button>
+                    </form>
+                    <div class="flex flex-wrap items-center gap-2">
+                        <a href="${withFilter('category', '')}" data-link class="${chipClass(!filters.category)}">All</a>
+                        ${data.facets.categories.map(category => `
+                            <a href="${withFilter('category', category)}" data-link class="${chipClass(filters.category === category)} capitalize">${category}</a>
+                        `).join('')}
+                        <span class="w-px h-6 bg-gray-200 dark:bg-gray-700 mx-2"></span>
+                        <a href="${withFilter('featured', filters.featured ? '' : 'true')}" data-link class="${chipClass(filters.featured)}">★ Featured only</a>
+                        <select id="technologyFilter" class="ml-auto px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-800 dark:text-white">
+                            <option value="">All technologies</option>
+                            ${data.facets.technologies.map(tech => `
+                                <option value="${tech}" ${filters.technology === tech ? 'selected' : ''}>${tech}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-8">
+                    ${data.projects.length > 0 ? data.projects.map(renderProjectCard).join('') : '<div class="md:col-span-3 text-center py-10 text-gray-500">No projects match these filters.</div>'}
+                </div>
+                
+                ${data.totalPages > 1 ? `
+                    <nav class="flex justify-center items-center gap-2 mt-10">
+                        ${data.page > 1 ? `<a href="${projectsUrl({ ...filters, page: String(data.page - 1) })}" data-link class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600">← Prev</a>` : ''}
+                        ${Array.from({ length: data.totalPages }, (_, i) => i + 1).map(page => `
+                            <a href="${projectsUrl({ ...filters, page: String(page) })}" data-link class="w-10 h-10 flex items-center justify-center rounded-lg ${page === data.page ? 'bg-[#0D9489] text-white' : 'border border-gray-300 dark:border-gray-600'}">${page}</a>
+                        `).join('')}
+                        ${data.page < data.totalPages ? `<a href="${projectsUrl({ ...filters, page: String(data.page + 1) })}" data-link class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600">Next →</a>` : ''}
+                    </nav>
+                ` : ''}
+            </section>
+        `;
+        
+        document.getElementById('projectSearchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            navigate(withFilter('q', e.target.q.value.trim()));
+        });
+        document.getElementById('technologyFilter').addEventListener('change', (e) => {
+            navigate(withFilter('technology', e.target.value));
+        });
+    } catch (error) {
+        if (isStaleRender(renderId)) return;
+        console.error('Failed to load projects:', error);
+        app.innerHTML = '<div class="text-center text-red-500 py-10">Failed to load projects. Please refresh the page.</div>';
     }
+}
+
+async function renderProjectPage(id) {
+    const app = document.getElementById('app');
+    const renderId = state.renderId;
     
+    let project;
     try {
-        const data = await api.likeProject(projectId);
-        showToast('Project liked!', 'success');
-        const likeBtn = document.querySelector(`[onclick="likeProject('${projectId}')"] span`);
-        if (likeBtn) {
-            likeBtn.textContent = data.likes;
-        }
+        project = await api.getProject(id);
     } catch (error) {
-        showToast('Failed to like project', 'error');
+        if (!isStaleRender(renderId)) renderNotFound('Project not found');
+        return;
     }
-};
+    if (isStaleRender(renderId)) return;
+    
+    setPageTitle(project.title);
+    
+    const gallery = [...new Set([project.image, ...(project.images || [])].filter(Boolean))];
+    
+    app.innerHTML = `
+        <article class="max-w-5xl mx-auto mt-8 mb-12">
+            <a href="/projects" data-link class="inline-block text-sm text-primary-600 hover:text-primary-700 font-medium mb-6">← All projects</a>
+            
+            ${gallery.length > 0 ? `
+                <button onclick="openLightbox(0)" class="block w-full mb-4">
+                    <img src="${gallery[0]}" alt="${project.title}" class="w-full h-64 md:h-96 object-cover rounded-3xl shadow-lg">
+                </button>
+                ${gallery.length > 1 ? `
+                    <div class="flex gap-3 overflow-x-auto pb-2 mb-8">
+                        ${gallery.map((image, index) => `
+                            <button onclick="openLightbox(${index})" class="shrink-0">
+                                <img src="${image}" alt="${project.title} screenshot ${index + 1}" class="w-28 h-20 object-cover rounded-xl border-2 border-transparent hover:border-primary-500">
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : '<div class="mb-8"></div>'}
+            ` : ''}
+            
+            <div class="grid grid-cols-1 lg:grid-cols-[1fr_280px] gap-8">
+                <div class="bg-white dark:bg-[#1e293b] rounded-3xl p-6 md:p-10 shadow-soft dark:shadow-soft-dark">
+                    <div class="flex items-center gap-2 mb-3">
+                        <span class="px-3 py-1 bg-primary-50 dark:bg-primary-900/20 text-primary-600 dark:text-primary-400 text-xs font-medium rounded-full uppercase">${project.category || 'project'}</span>
+                        ${project.featured ? '<span class="px-3 py-1 bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 text-xs font-medium rounded-full">Featured</span>' : ''}
+                    </div>
+                    <h1 class="text-3xl md:text-4xl font-bold text-gray-900 dark:text-white mb-4">${project.title}</h1>
+                    <p class="text-lg text-gray-600 dark:text-gray-400 mb-6">${project.description}</p>
+                    ${project.longDescription ? `<p class="text-gray-700 dark:text-gray-300 leading-relaxed">${project.longDescription}</p>` : ''}
+                </div>
+                
+                <aside class="space-y-6">
+                    <div class="bg-white dark:bg-[#1e293b] rounded-3xl p-6 shadow-soft dark:shadow-soft-dark space-y-3">
+                        ${project.liveUrl ? `<a href="${project.liveUrl}" target="_blank" rel="noopener" class="block text-center px-4 py-2.5 rounded-full bg-[#0D9489] hover:bg-[#0f766e] text-white font-medium">Live Demo ↗</a>` : ''}
+                        ${project.githubUrl ? `<a href="${project.githubUrl}" target="_blank" rel="noopener" class="block text-center px-4 py-2.5 rounded-full border border-gray-200 dark:border-gray-700 hover:border-[#0D9489] font-medium">Source Code ↗</a>` : ''}
+                        <div class="flex justify-around pt-2 text-sm text-gray-500 dark:text-gray-400">
+                            <span title="Views">👁 ${project.views}</span>
+                            ${renderLikeButton('project', project)}
+                        </div>
+                    </div>
+                    <div class="bg-white dark:bg-[#1e293b] rounded-3xl p-6 shadow-soft dark:shadow-soft-dark">
+                        <h2 class="text-xs font-bold uppercase tracking-wider text-gray-400 mb-3">Built with</h2>
+                        <div class="flex flex-wrap gap-2">
+                            ${(project.technologies || []).map(tech => `
+                                <span class="px-2 py-1 bg-gray-100 dark:bg-gray-800 text-xs rounded-full">${tech}</span>
+                            `).join('')}
+                        </div>
+                    </div>
+                </aside>
+            </div>
+        </article>
+    `;
+    
+    state.lightbox = { images: gallery, index: 0, title: project.title };
+}
 
 // =====================================================
-// ENTER KEY FOR CHAT
+// LIGHTBOX
 // =====================================================
 
+function renderLightbox() {
+    const { images, index, title } = state.lightbox;
+    const container = document.getElementById('lightbox');
+    
+    container.innerHTML = `
+        <div class="lightbox" onclick="if (event.target === this) closeLightbox()">
+            <button class="lightbox-close" onclick="closeLightbox()" aria-label="Close">✕</button>
+            ${images.length > 1 ? '<button class="lightbox-nav left-4" onclick="stepLightbox(-1)" aria-label="Previous image">‹</button>' : ''}
+            <img src="${images[index]}" alt="${title} ${index + 1}">
+            ${images.length > 1 ? '<button class="lightbox-nav right-4" onclick="stepLightbox(1)" aria-label="Next image">›</button>' : ''}
+            <span class="lightbox-counter">${index + 1} / ${images.length}</span>
+        </div>
+    `;
+    container.classList.remove('hidden');
+}
+
+window.openLightbox = function(index) {
+    if (!state.lightbox?.images.length) return;
+    state.lightbox.index = index;
+    renderLightbox();
+};
+
+window.stepLightbox = function(step) {
+    const { images, index } = state.lightbox;
+    state.lightbox.index = (index + step + images.length) % images.length;
+    renderLightbox();
+};
+
+window.closeLightbox = function() {
+    const container = document.getElementById('lightbox');
+    container.classList.add('hidden');
+    container.innerHTML = '';
+};
+
 document.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !e.shiftKey && document.activeElement?.id === 'aiChatInput') {
-        e.preventDefault();
-        window.sendAIChat();
-    }
+    const container = document.getElementById('lightbox');
+    if (!container || container.classList.contains('hidden')) return;
+    
+    if (e.key === 'Escape') window.closeLightbox();
+    if (e.key === 'ArrowLeft') window.stepLightbox(-1);
+    if (e.key === 'ArrowRight') window.stepLightbox(1);
 });
 
 // =====================================================
-// PROFILE MENU TOGGLE
+// BLOG
 // =====================================================
 
-document.addEventListener('click', (e) => {
-    const profileMenu = document.getElementById('profile-menu');
-    const profileButton = document.getElementById('profile-button');
+function renderArticleCard(article) {
+    return `
+        <a href="/blog/${article.slug}" data-link class="group block bg-white dark:bg-[#1e293b] rounded-xl overflow-hidden shadow-lg hover:shadow-xl transition-shadow">
+            ${article.coverImage ? `<img src="${escapeHtml(article.coverImage)}" alt="${escapeHtml(article.title)}" class="w-full h-48 object-cover">` : ''}
+            <div class="p-6">
+                <div class="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400 mb-2">
+                    <span>${formatDate(article.publishAt || article.createdAt)}</span>
+                    <span>•</span>
+                    <span>${article.readTime} min read</span>
+                    <span class="ml-auto ${article.likedByMe ? 'text-red-500' : ''}">♥ ${article.likes || 0}</span>
+                </div>
+                <h3 class="text-xl font-bold text-gray-900 dark:text-white mb-2 group-hover:text-primary-600">${escapeHtml(article.title)}</h3>
+                <p class="text-gray-600 dark:text-gray-400 mb-4">${escapeHtml(article.excerpt)}</p>
+                <div class="flex flex-wrap gap-2">
+                    ${(article.tags || []).map(tag => `
+                        <span class="px-2 py-1 bg-gray-100 dark:bg-gray-800 text-xs rounded-full">${escapeHtml(tag)}</span>
+                    `).join('')}
+                </div>
+            </div>
+        </a>
+    `;
+}
+
+async function renderBlogIndex(page = 1) {
+    const app = document.getElementById('app');
+    const renderId = state.renderId;
     
-    if (profileButton && profileButton.contains(e.target)) {
-        profileMenu.classList.toggle('hidden');
-    } else if (profileMenu && !profileMenu.contains(e.target)) {
-        profileMenu.classList.add('hidden');
+    try {
+        const data = await api.getArticles({ limit: 9, page });
+        if (isStaleRender(renderId)) return;
+        
+        app.innerHTML = `
+            <section class="max-w-7xl mx-auto mt-8 mb-12">
+                <div class="flex items-center gap-4 mb-8">
+                    <h1 class="text-3xl font-bold text-gray-800 dark:text-gray-100">Blog</h1>
+                    <div class="h-[1px] bg-gray-200 dark:bg-gray-700 flex-1"></div>
+                    <span class="text-sm text-gray-500">${data.total} articles</span>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-8">
+                    ${data.articles.length > 0 ? data.articles.map(renderArticleCard).join('') : '<div class="md:col-span-3 text-center py-10 text-gray-500">No articles yet.</div>'}
+                </div>
+                ${data.totalPages > 1 ? `
+                    <div class="flex justify-center items-center gap-4 mt-10">
+                        <button id="blogPrev" ${data.page <= 1 ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">← Newer</button>
+                        <span class="text-sm text-gray-500">Page ${data.page} of ${data.totalPages}</span>
+                        <button id="blogNext" ${data.page >= data.totalPages ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">Older →</button>
+                    </div>
+                ` : ''}
+            </section>
+        `;
+        
+        document.getElementById('blogPrev')?.addEventListener('click', () => renderBlogIndex(data.page - 1));
+        document.getElementById('blogNext')?.addEventListener('click', () => renderBlogIndex(data.page + 1));
+    } catch (error) {
+        if (isStaleRender(renderId)) return;
+        console.error('Failed to load blog:', error);
+        app.innerHTML = '<div class="text-center text-red-500 py-10">Failed to load articles. Please refresh the page.</div>';
     }
-});
+}
 
-// =====================================================
-// INITIALIZATION
-// =====================================================
+// Mirrors the server's MAX_COMMENT_DEPTH: replies nest at most three levels deep
+const MAX_COMMENT_DEPTH = 3;
 
-document.addEventListener('DOMContentLoaded', () => {
-    initTheme();
-    initCursor();
-    initRunningTime();
-    initSocket();
-    
-    document.getElementById('theme-toggle')?.addEventListener('click', toggleTheme);
-    document.getElementById('mobile-theme-toggle')?.addEventListener('click', toggleTheme);
+function renderComment(comment, depth = 0) {
+    const author = comment.author;
+    const isOwner = author && author.id === state.user?.id;
+    const canEdit = isOwner && comment.editableUntil && new Date(comment.editableUntil) > new Date();
+    const canDelete = canEdit || can('comments:moderate');
+    const canReply = state.user && !comment.deleted && comment.status === 'approved' && depth + 1 < MAX_COMMENT_DEPTH;
     
-    renderDashboard();
-    
-    if (state.chatSessionId) {
-        api.getChatHistory().then(data => {
-            if (data.messages?.length) {
-                const container = document.getElementById('aiChatMessages');
-                container.innerHTML = '';
-                data.messages.forEach(msg => {
-                    addChatMessage(msg.role, msg.content);
-                });
-            }
-        }).catch(console.error);
+    return `
+        <div class="flex gap-3" id="comment-${comment.id}">
+            ${comment.deleted
+                ? '<div class="w-10 h-10 rounded-full bg-gray-100 dark:bg-gray-800 shrink-0"></div>'
+                : `<img src="${author?.profilePicture || 'https://ui-avatars.com/api/?name=' + encodeURIComponent(author?.username || '?')}" class="w-10 h-10 rounded-full object-cover shrink-0">`}
+            <div class="flex-1 min-w-0">
+                <div class="bg-gray-50 dark:bg-gray-800/50 rounded-xl px-4 py-3">
+                    ${comment.deleted ? '<p class="text-sm italic text-gray-400">This comment has been removed.</p>' : `
+                        <div class="flex items-center justify-between mb-1">
+                            <span class="font-semibold text-sm">
+                                ${author?.username || 'Unknown user'}
+                                ${comment.status === 'pending' ? '<span class="ml-2 px-2 py-0.5 text-xs font-normal rounded-full bg-amber-100 text-amber-700">Awaiting moderation</span>' : ''}
+                            </span>
+                            <span class="text-xs text-gray-500">${formatDate(comment.createdAt)}${comment.editedAt ? ' · edited' : ''}</span>
+                        </div>
+                        <p class="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap">${comment.content}</p>
+                    `}
+                </div>
+                ${canReply || canEdit || canDelete ? `
+                    <div class="flex gap-4 text-xs text-gray-500 mt-1 ml-2">
+                        ${canReply ? `<button onclick="toggleReplyForm('${comment.id}')" class="hover:text-primary-600">Reply</button>` : ''}
+                        ${canEdit ? `<button onclick="editComment('${comment.id}')" class="hover:text-primary-600">Edit</button>` : ''}
+                        ${canDelete && !comment.deleted ? `<button onclick="deleteComment('${comment.id}')" class="hover:text-red-600">Delete</button>` : ''}
+                    </div>
+                ` : ''}
+                <form id="reply-${comment.id}" data-parent="${comment.id}" class="reply-form hidden mt-3 space-y-2">
+                    <textarea name="content" rows="2" maxlength="500" required placeholder="Write a reply..." class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white text-sm"></textarea>
+                    <button type="submit" class="px-4 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors text-sm">Reply</button>
+                </form>
+                ${comment.replies?.length ? `
+                    <div class="mt-4 space-y-4 pl-2 border-l-2 border-gray-100 dark:border-gray-800">
+                        ${comment.replies.map(reply => renderComment(reply, depth + 1)).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function findComment(comments, id) {
+    for (const comment of comments) {
+        if (comment.id === id) return comment;
+        const found = findComment(comment.replies || [], id);
+        if (found) return found;
+    }
+    return null;
+}
+
+function renderCommentThread() {
+    const { comments, total } = state.commentThread;
+    document.getElementById('commentCount').textContent = total;
+    document.getElementById('commentList').innerHTML = comments.length > 0
+        ? comments.map(comment => renderComment(comment)).join('')
+        : '<p class="text-sm text-gray-500">No comments yet. Be the first!</p>';
+}
+
+async function reloadComments() {
+    const { articleId } = state.commentThread;
+    const data = await api.getComments(articleId);
+    state.commentThread = { articleId, comments: data.comments, total: data.total };
+    renderCommentThread();
+}
+
+async function postComment(form, parentId = null) {
+    const content = form.elements.content.value.trim();
+    if (!content) return;
+    
+    try {
+        const { comment, message } = await api.commentOnArticle(state.commentThread.articleId, content, parentId);
+        form.reset();
+        showToast(comment.status === 'pending' ? message : 'Comment posted!', comment.status === 'pending' ? 'info' : 'success');
+        await reloadComments();
+    } catch (error) {
+        showToast('Failed to post comment', 'error');
+    }
+}
+
+window.toggleReplyForm = function(id) {
+    const form = document.getElementById(`reply-${id}`);
+    form.classList.toggle('hidden');
+    if (!form.classList.contains('hidden')) {
+        form.elements.content.focus();
+    }
+};
+
+window.editComment = function(id) {
+    const comment = findComment(state.commentThread.comments, id);
+    if (!comment) return;
+    
+    // Content arrives HTML-escaped; decode it for the textarea
+    const current = new DOMParser().parseFromString(comment.content, 'text/html').documentElement.textContent;
+    
+    showModal('Edit Comment', `
+        <form id="editCommentForm" class="space-y-4">
+            <textarea name="content" rows="4" maxlength="500" required class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white">${escapeHtml(current)}</textarea>
+            <p class="text-xs text-gray-500">You can edit until ${new Date(comment.editableUntil).toLocaleTimeString()}.</p>
+            <button type="submit" class="w-full py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">Save</button>
+        </form>
+    `);
+    
+    document.getElementById('editCommentForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const { message } = await api.editComment(state.commentThread.articleId, id, e.target.elements.content.value.trim());
+            closeModal();
+            showToast(message, 'success');
+            await reloadComments();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+};
+
+window.deleteComment = async function(id) {
+    if (!confirm('Delete this comment?')) return;
+    
+    try {
+        await api.deleteComment(state.commentThread.articleId, id);
+        showToast('Comment deleted', 'success');
+        await reloadComments();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+async function renderArticlePage(slug) {
+    const app = document.getElementById('app');
+    const renderId = state.renderId;
+    
+    let article;
+    try {
+        article = await api.getArticle(slug);
+    } catch (error) {
+        if (!isStaleRender(renderId)) renderNotFound('Article not found');
+        return;
+    }
+    if (isStaleRender(renderId)) return;
+    
+    // The server redirects renamed slugs, so keep the address bar canonical
+    if (article.slug !== slug) {
+        history.replaceState(history.state, '', `/blog/${article.slug}`);
+    }
+    setPageTitle(article.title);
+    state.commentThread = { articleId: article.id, comments: article.comments, total: article.commentCount };
+    
+    app.innerHTML = `
+        <article class="max-w-5xl mx-auto mt-8 mb-12">
+            <a href="/blog" data-link class="inline-block text-sm text-primary-600 hover:text-primary-700 font-medium mb-6">← Back to blog</a>
+            ${article.coverImage ? `<img src="${escapeHtml(article.coverImage)}" alt="${escapeHtml(article.title)}" class="w-full h-64 md:h-96 object-cover rounded-3xl shadow-lg mb-8">` : ''}
+            <header class="mb-8">
+                <div class="flex flex-wrap gap-2 mb-4">
+                    ${(article.tags || []).map(tag => `
+                        <span class="px-3 py-1 bg-primary-50 dark:bg-primary-900/20 text-primary-600 dark:text-primary-400 text-xs font-medium rounded-full">${escapeHtml(tag)}</span>
+                    `).join('')}
+                </div>
+                <h1 class="text-3xl md:text-5xl font-bold text-gray-900 dark:text-white mb-4">${escapeHtml(article.title)}</h1>
+                <div class="flex items-center gap-3 text-sm text-gray-500 dark:text-gray-400">
+                    <span>${formatDate(article.publishAt || article.createdAt)}</span>
+                    <span>•</span>
+                    <span>${article.readTime} min read</span>
+                    <span>•</span>
+                    <span>${article.views} views</span>
+                    <span>•</span>
+                    ${renderLikeButton('article', article)}
+                </div>
+            </header>
+            
+            <div class="grid grid-cols-1 lg:grid-cols-[1fr_240px] gap-10">
+                <div class="bg-white dark:bg-[#1e293b] rounded-3xl p-6 md:p-10 shadow-soft dark:shadow-soft-dark">
+                    <div class="prose dark:prose-invert max-w-none">${article.contentHtml}</div>
+                </div>
+                ${article.toc?.length ? `
+                    <aside class="hidden lg:block">
+                        <nav class="sticky top-8">
+                            <h2 class="text-xs font-bold uppercase tracking-wider text-gray-400 mb-3">On this page</h2>
+                            <ul class="space-y-2 text-sm">
+                                ${article.toc.map(item => `
+                                    <li style="padding-left: ${(item.level - 1) * 12}px">
+                                        <a href="#${item.anchor}" class="text-gray-600 dark:text-gray-400 hover:text-primary-600">${escapeHtml(item.text)}</a>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </nav>
+                    </aside>
+                ` : ''}
+            </div>
+            
+            ${article.author ? `
+                <div class="flex items-center gap-4 bg-white dark:bg-[#1e293b] rounded-3xl p-6 shadow-soft dark:shadow-soft-dark mt-10">
+                    <img src="${escapeHtml(article.author.profilePicture)}" alt="${article.author.username}" class="w-16 h-16 rounded-full object-cover">
+                    <div>
+                        <p class="text-xs uppercase tracking-wider text-gray-400">Written by</p>
+                        <p class="text-lg font-bold text-gray-900 dark:text-white">${article.author.username}</p>
+                        <p class="text-sm text-gray-600 dark:text-gray-400">${article.author.bio || ''}</p>
+                    </div>
+                </div>
+            ` : ''}
+            
+            <section class="bg-white dark:bg-[#1e293b] rounded-3xl p-6 md:p-8 shadow-soft dark:shadow-soft-dark mt-10">
+                <h2 class="text-xl font-bold text-gray-900 dark:text-white mb-6">Comments (<span id="commentCount"></span>)</h2>
+                <div id="commentList" class="space-y-4 mb-6"></div>
+                ${state.user?.emailVerified === false ? `
+                    <p class="text-sm text-gray-600 dark:text-gray-400">Verify your email address to join the discussion.
+                        <button onclick="resendVerification()" class="text-primary-600 hover:text-primary-700 font-medium">Resend verification email</button>
+                    </p>
+                ` : state.user ? `
+                    <form id="commentForm" class="space-y-3">
+                        <textarea name="content" rows="3" maxlength="500" required placeholder="Write a comment..." class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white"></textarea>
+                        <button type="submit" class="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">Post Comment</button>
+                    </form>
+                ` : `
+                    <button onclick="showLoginModal()" class="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">Login to comment</button>
+                `}
+            </section>
+        </article>
+    `;
+    
+    renderCommentThread();
+    
+    document.getElementById('commentForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        postComment(e.target);
+    });
+    // Reply forms are re-rendered with the thread, so listen on the container
+    document.getElementById('commentList').addEventListener('submit', (e) => {
+        if (!e.target.classList.contains('reply-form')) return;
+        e.preventDefault();
+        postComment(e.target, e.target.dataset.parent);
+    });
+}
+
+// =====================================================
+// ADMIN
+// =====================================================
+
+const ADMIN_TABS = [
+    { id: 'overview', label: 'Overview', permission: 'analytics:view', render: renderAdminOverview },
+    { id: 'projects', label: 'Projects', permission: 'projects:manage', render: renderAdminProjects },
+    { id: 'articles', label: 'Articles', permission: 'articles:manage', render: renderAdminArticles },
+    { id: 'comments', label: 'Comments', permission: 'comments:moderate', render: renderAdminComments },
+    { id: 'messages', label: 'Messages', permission: 'messages:manage', render: renderAdminMessages },
+    { id: 'outbox', label: 'Outbox', permission: 'messages:manage', render: renderAdminOutbox },
+    { id: 'chats', label: 'Chats', permission: 'chats:view', render: renderAdminChats },
+    { id: 'users', label: 'Users', permission: 'users:manage', render: renderAdminUsers }
+];
+
+const getAdminTabs = () => ADMIN_TABS.filter(t => can(t.permission));
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-white';
+const cardClass = 'bg-white dark:bg-[#1e293b] rounded-3xl p-6 shadow-soft dark:shadow-soft-dark';
+
+async function renderAdminPage() {
+    const app = document.getElementById('app');
+    
+    const tabs = getAdminTabs();
+    if (tabs.length === 0) {
+        return renderNotFound('Admin access required');
+    }
+    
+    const tabId = new URLSearchParams(window.location.search).get('tab');
+    const tab = tabs.find(t => t.id === tabId) || tabs[0];
+    
+    app.innerHTML = `
+        <section class="max-w-7xl mx-auto mt-8 mb-12">
+            <div class="flex items-center gap-4 mb-6">
+                <h1 class="text-3xl font-bold text-gray-800 dark:text-gray-100">Admin</h1>
+                <div class="h-[1px] bg-gray-200 dark:bg-gray-700 flex-1"></div>
+            </div>
+            <nav class="flex flex-wrap gap-2 mb-8">
+                ${tabs.map(t => `
+                    <a href="/admin?tab=${t.id}" data-link class="px-4 py-2 rounded-full text-sm font-medium ${t.id === tab.id ? 'bg-[#0D9489] text-white' : 'bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-600 dark:text-gray-300'}">${t.label}</a>
+                `).join('')}
+            </nav>
+            <div id="adminContent">
+                <div class="flex justify-center items-center h-64">
+                    <div class="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+                </div>
+            </div>
+        </section>
+    `;
+    
+    const container = document.getElementById('adminContent');
+    try {
+        await tab.render(container);
+    } catch (error) {
+        console.error('Failed to load admin view:', error);
+        container.innerHTML = '<div class="text-center text-red-500 py-10">Failed to load admin data. Please refresh the page.</div>';
+    }
+}
+
+function toDateTimeLocal(date) {
+    if (!date) return '';
+    const local = new Date(new Date(date).getTime() - new Date().getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// --- Overview -----------------------------------------
+
+function renderColumnChart(items) {
+    if (items.length === 0) {
+        return '<p class="text-sm text-gray-500 py-10 text-center">No visits in this range.</p>';
+    }
+    const max = Math.max(...items.map(item => item.count));
+    return `
+        <div class="flex items-end gap-1 h-48">
+            ${items.map(item => `
+                <div class="flex-1 flex flex-col items-center justify-end h-full group" title="${item._id}: ${item.count}">
+                    <span class="text-[10px] text-gray-500 opacity-0 group-hover:opacity-100">${item.count}</span>
+                    <div class="w-full bg-[#0D9489] rounded-t" style="height: ${(item.count / max) * 100}%"></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="flex justify-between text-[10px] text-gray-400 mt-2">
+            <span>${items[0]._id}</span>
+            <span>${items[items.length - 1]._id}</span>
+        </div>
+    `;
+}
+
+function renderBarList(items) {
+    if (items.length === 0) {
+        return '<p class="text-sm text-gray-500 py-10 text-center">No page views in this range.</p>';
+    }
+    const max = Math.max(...items.map(item => item.count));
+    return `
+        <ul class="space-y-2">
+            ${items.map(item => `
+                <li>
+                    <div class="flex justify-between text-sm mb-1">
+                        <span class="truncate font-mono">${escapeHtml(item._id)}</span>
+                        <span class="text-gray-500">${item.count}</span>
+                    </div>
+                    <div class="h-2 bg-gray-100 dark:bg-gray-800 rounded-full overflow-hidden">
+                        <div class="h-full bg-[#0D9489]" style="width: ${(item.count / max) * 100}%"></div>
+                    </div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function renderSparkline(history) {
+    const max = Math.max(1, ...history.map(day => day.count));
+    return `
+        <div class="flex items-end gap-px h-8 w-40">
+            ${history.map(day => `
+                <div class="flex-1 bg-[#0D9489] rounded-sm" style="height: ${Math.max((day.count / max) * 100, 4)}%; opacity: ${day.count ? 1 : 0.2}" title="${day.date}: ${day.count}"></div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderViewTrends(items) {
+    if (items.length === 0) {
+        return '<p class="text-sm text-gray-500 py-10 text-center">No projects or articles yet.</p>';
+    }
+    return `
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-gray-500">
+                    <th class="font-medium pb-2">Item</th>
+                    <th class="font-medium pb-2 hidden md:table-cell">Trend</th>
+                    <th class="font-medium pb-2 text-right">In range</th>
+                    <th class="font-medium pb-2 text-right">All time</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${items.map(item => `
+                    <tr>
+                        <td class="py-2 pr-4">
+                            <a href="${item.targetType === 'project' ? `/projects/${item.targetId}` : `/blog/${item.slug}`}" data-link class="hover:text-primary-600">${escapeHtml(item.title)}</a>
+                            <span class="ml-1 text-xs text-gray-400">${item.targetType}</span>
+                        </td>
+                        <td class="py-2 hidden md:table-cell">${renderSparkline(item.history)}</td>
+                        <td class="py-2 text-right font-semibold">${item.total}</td>
+                        <td class="py-2 text-right text-gray-500">${item.allTime}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function renderAdminOverview(container) {
+    const range = state.admin.analyticsRange;
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - range * 24 * 60 * 60 * 1000);
+    
+    const [analyticsData, viewData, unreadData] = await Promise.all([
+        api.getAnalytics({ startDate: startDate.toISOString(), endDate: endDate.toISOString() }),
+        api.getViewTrends({ days: range, limit: 8 }),
+        can('messages:manage') ? api.getMessages({ read: 'false', limit: 1 }) : null
+    ]);
+    
+    container.innerHTML = `
+        <div class="flex justify-end mb-4">
+            <select id="analyticsRange" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-800 dark:text-white">
+                ${[7, 30, 90].map(days => `<option value="${days}" ${days === range ? 'selected' : ''}>Last ${days} days</option>`).join('')}
+            </select>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-6">
+            <div class="${cardClass}">
+                <p class="text-sm text-gray-500">Total visits</p>
+                <p class="text-3xl font-bold">${analyticsData.totalVisits}</p>
+            </div>
+            <div class="${cardClass}">
+                <p class="text-sm text-gray-500">Unique visitors</p>
+                <p class="text-3xl font-bold">${analyticsData.uniqueVisitors}</p>
+            </div>
+            ${unreadData ? `
+                <a href="/admin?tab=messages" data-link class="${cardClass} block hover:ring-2 hover:ring-[#0D9489]">
+                    <p class="text-sm text-gray-500">Unread messages</p>
+                    <p class="text-3xl font-bold">${unreadData.total}</p>
+                </a>
+            ` : ''}
+            <div class="${cardClass}" title="${analyticsData.contactRejections.byReason.map(r => `${r._id}: ${r.count}`).join('\n')}">
+                <p class="text-sm text-gray-500">Blocked contact attempts</p>
+                <p class="text-3xl font-bold">${analyticsData.contactRejections.total}</p>
+                <p class="text-xs text-gray-500 truncate">${analyticsData.contactRejections.byReason.slice(0, 2).map(r => `${r._id} (${r.count})`).join(', ')}</p>
+            </div>
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-[2fr_1fr] gap-6">
+            <div class="${cardClass}">
+                <h2 class="font-bold mb-4">Daily visits</h2>
+                ${renderColumnChart(analyticsData.dailyVisits)}
+            </div>
+            <div class="${cardClass}">
+                <h2 class="font-bold mb-4">Top pages</h2>
+                ${renderBarList(analyticsData.pageViews.slice(0, 8))}
+            </div>
+        </div>
+        <div class="${cardClass} mt-6">
+            <h2 class="font-bold mb-4">Content views</h2>
+            ${renderViewTrends(viewData.items)}
+        </div>
+    `;
+    
+    document.getElementById('analyticsRange').addEventListener('change', (e) => {
+        state.admin.analyticsRange = parseInt(e.target.value);
+        renderAdminOverview(container);
+    });
+}
+
+// --- Projects -----------------------------------------
+
+async function renderAdminProjects(container) {
+    const data = await api.getProjects({ limit: 100 });
+    state.admin.projects = data.projects;
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="font-bold">${data.total} projects</h2>
+                <button onclick="editProject()" class="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm">+ New Project</button>
+            </div>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.projects.map(project => `
+                    <div class="flex items-center gap-4 py-3">
+                        ${project.image ? `<img src="${project.image}" class="w-16 h-12 object-cover rounded-lg">` : '<div class="w-16 h-12 rounded-lg bg-gray-100 dark:bg-gray-800"></div>'}
+                        <div class="flex-1 min-w-0">
+                            <p class="font-semibold truncate">${escapeHtml(project.title)} ${project.featured ? '<span class="text-amber-500">★</span>' : ''}</p>
+                            <p class="text-xs text-gray-500">${escapeHtml(project.category || '')} • ${project.views} views • ${project.likes} likes</p>
+                        </div>
+                        <a href="/projects/${project.id}" data-link class="text-sm text-gray-500 hover:text-primary-600">View</a>
+                        <button onclick="editProject('${project.id}')" class="text-sm text-primary-600 hover:text-primary-700">Edit</button>
+                        <button onclick="deleteProject('${project.id}')" class="text-sm text-red-600 hover:text-red-700">Delete</button>
+                    </div>
+                `).join('') || '<p class="text-sm text-gray-500 py-6 text-center">No projects yet.</p>'}
+            </div>
+        </div>
+    `;
+}
+
+window.editProject = function(id) {
+    const project = state.admin.projects.find(p => p.id === id) || {};
+    
+    showModal(id ? 'Edit Project' : 'New Project', `
+        <form id="projectForm" class="space-y-3">
+            <input name="title" required placeholder="Title" value="${escapeHtml(project.title)}" class="${inputClass}">
+            <input name="description" required placeholder="Short description" value="${escapeHtml(project.description)}" class="${inputClass}">
+            <textarea name="longDescription" rows="4" placeholder="Long description" class="${inputClass}">${escapeHtml(project.longDescription)}</textarea>
+            <div class="grid grid-cols-2 gap-3">
+                <input name="category" placeholder="Category (e.g. web)" value="${escapeHtml(project.category)}" class="${inputClass}">
+                <label class="flex items-center gap-2 text-sm"><input type="checkbox" name="featured" ${project.featured ? 'checked' : ''}> Featured</label>
+            </div>
+            <input name="technologies" placeholder="Technologies, comma separated" value="${escapeHtml((project.technologies || []).join(', '))}" class="${inputClass}">
+            <input name="liveUrl" type="url" placeholder="Live URL" value="${escapeHtml(project.liveUrl)}" class="${inputClass}">
+            <input name="githubUrl" type="url" placeholder="Source URL" value="${escapeHtml(project.githubUrl)}" class="${inputClass}">
+            <div>
+                <label class="block text-sm font-medium mb-1">${id ? 'Add images' : 'Images'} (max 5)</label>
+                <input type="file" name="images" accept="image/*" multiple class="${inputClass}">
+            </div>
+            <button type="submit" class="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Save Project</button>
+        </form>
+    `);
+    
+    document.getElementById('projectForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const data = {
+            title: form.elements.title.value.trim(),
+            description: form.elements.description.value.trim(),
+            longDescription: form.elements.longDescription.value.trim(),
+            category: form.elements.category.value.trim(),
+            featured: form.elements.featured.checked,
+            technologies: splitList(form.elements.technologies.value),
+            liveUrl: form.elements.liveUrl.value.trim(),
+            githubUrl: form.elements.githubUrl.value.trim()
+        };
+        
+        try {
+            await api.saveProject(id, data, Array.from(form.elements.images.files));
+            showToast('Project saved!', 'success');
+            closeModal();
+            renderAdminPage();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+};
+
+window.deleteProject = async function(id) {
+    const project = state.admin.projects.find(p => p.id === id);
+    if (!confirm(`Delete "${project?.title}"? This cannot be undone.`)) return;
+    
+    try {
+        await api.deleteProject(id);
+        showToast('Project deleted', 'success');
+        renderAdminPage();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Articles -----------------------------------------
+
+const ARTICLE_STATUS_BADGES = {
+    draft: 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400',
+    scheduled: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400',
+    published: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400'
+};
+
+async function renderAdminArticles(container) {
+    const data = await api.getAdminArticles({ limit: 100 });
+    state.admin.articles = data.articles;
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="font-bold">${data.total} articles</h2>
+                <button onclick="editArticle()" class="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm">+ New Article</button>
+            </div>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.articles.map(article => `
+                    <div class="flex items-center gap-4 py-3">
+                        <div class="flex-1 min-w-0">
+                            <p class="font-semibold truncate">${escapeHtml(article.title)}</p>
+                            <p class="text-xs text-gray-500">
+                                <span class="px-2 py-0.5 rounded ${ARTICLE_STATUS_BADGES[article.status]}">${article.status}</span>
+                                ${article.status === 'scheduled' ? `• goes live ${new Date(article.publishAt).toLocaleString()}` : ''}
+                                • ${article.views} views • updated ${formatDate(article.updatedAt)}
+                            </p>
+                        </div>
+                        <a href="/blog/${article.slug}" data-link class="text-sm text-gray-500 hover:text-primary-600">${article.status === 'published' ? 'View' : 'Preview'}</a>
+                        <button onclick="editArticle('${article.id}')" class="text-sm text-primary-600 hover:text-primary-700">Edit</button>
+                        <button onclick="deleteArticle('${article.id}')" class="text-sm text-red-600 hover:text-red-700">Delete</button>
+                    </div>
+                `).join('') || '<p class="text-sm text-gray-500 py-6 text-center">No articles yet.</p>'}
+            </div>
+        </div>
+    `;
+}
+
+window.editArticle = function(id) {
+    const article = state.admin.articles.find(a => a.id === id) || { published: true };
+    
+    showModal(id ? 'Edit Article' : 'New Article', `
+        <form id="articleForm" class="space-y-3">
+            <input name="title" required placeholder="Title" value="${escapeHtml(article.title)}" class="${inputClass}">
+            <input name="excerpt" placeholder="Excerpt" value="${escapeHtml(article.excerpt)}" class="${inputClass}">
+            <textarea name="content" rows="10" required placeholder="Content (Markdown)" class="${inputClass} font-mono text-sm">${escapeHtml(article.content)}</textarea>
+            <div class="grid grid-cols-2 gap-3">
+                <input name="category" placeholder="Category" value="${escapeHtml(article.category)}" class="${inputClass}">
+                <input name="tags" placeholder="Tags, comma separated" value="${escapeHtml((article.tags || []).join(', '))}" class="${inputClass}">
+            </div>
+            <div>
+                <label class="block text-sm font-medium mb-1">Cover image</label>
+                <input type="file" name="coverImage" accept="image/*" class="${inputClass}">
+            </div>
+            <div class="grid grid-cols-2 gap-3 items-center">
+                <label class="flex items-center gap-2 text-sm"><input type="checkbox" name="published" ${article.published ? 'checked' : ''}> Published (uncheck for draft)</label>
+                <div>
+                    <label class="block text-xs text-gray-500 mb-1">Publish at (optional)</label>
+                    <input type="datetime-local" name="publishAt" value="${toDateTimeLocal(article.publishAt)}" class="${inputClass}">
+                </div>
+            </div>
+            <button type="submit" class="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">Save Article</button>
+        </form>
+    `);
+    
+    document.getElementById('articleForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const data = {
+            title: form.elements.title.value.trim(),
+            excerpt: form.elements.excerpt.value.trim(),
+            content: form.elements.content.value,
+            category: form.elements.category.value.trim(),
+            tags: splitList(form.elements.tags.value),
+            published: form.elements.published.checked,
+            publishAt: form.elements.publishAt.value ? new Date(form.elements.publishAt.value).toISOString() : null
+        };
+        
+        try {
+            await api.saveArticle(id, data, form.elements.coverImage.files[0]);
+            showToast('Article saved!', 'success');
+            closeModal();
+            renderAdminPage();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+};
+
+window.deleteArticle = async function(id) {
+    const article = state.admin.articles.find(a => a.id === id);
+    if (!confirm(`Delete "${article?.title}"? This cannot be undone.`)) return;
+    
+    try {
+        await api.deleteArticle(id);
+        showToast('Article deleted', 'success');
+        renderAdminPage();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Comments -----------------------------------------
+
+async function renderAdminComments(container, page = 1) {
+    const filter = state.admin.commentFilter;
+    const data = await api.getCommentQueue({ status: filter, page, limit: 20 });
+    
+    const filterChip = (value, label) => `
+        <button onclick="filterComments('${value}')" class="px-3 py-1.5 rounded-full text-sm font-medium ${filter === value ? 'bg-[#0D9489] text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300'}">${label}</button>
+    `;
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <div class="flex flex-wrap items-center gap-2 mb-4">
+                ${filterChip('pending', 'Pending')}
+                ${filterChip('approved', 'Approved')}
+                ${filterChip('rejected', 'Rejected')}
+                ${filterChip('all', 'All')}
+                <span class="ml-auto text-sm text-gray-500">${data.total} comments</span>
+            </div>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.comments.map(comment => `
+                    <div class="py-4">
+                        <div class="flex flex-wrap items-center gap-2 text-sm mb-2">
+                            <span class="font-semibold">${comment.author?.username || 'Unknown user'}</span>
+                            <span class="text-gray-400">on</span>
+                            <a href="/blog/${comment.article.slug}" data-link class="text-primary-600 hover:underline truncate">${escapeHtml(comment.article.title)}</a>
+                            ${comment.parentId ? '<span class="text-xs text-gray-400">(reply)</span>' : ''}
+                            <span class="ml-auto text-xs text-gray-500">${formatDate(comment.createdAt)}</span>
+                        </div>
+                        <p class="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap mb-2">${comment.content}</p>
+                        ${comment.spamReasons.length ? `
+                            <div class="flex flex-wrap gap-1 mb-2">
+                                ${comment.spamReasons.map(reason => `<span class="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-700">${reason}</span>`).join('')}
+                            </div>
+                        ` : ''}
+                        <div class="flex gap-2">
+                            ${comment.status !== 'approved' ? `<button onclick="moderateComment('${comment.article.id}', '${comment.id}', 'approved')" class="px-3 py-1 text-sm rounded-lg bg-[#0D9489] text-white">Approve</button>` : ''}
+                            ${comment.status !== 'rejected' ? `<button onclick="moderateComment('${comment.article.id}', '${comment.id}', 'rejected')" class="px-3 py-1 text-sm rounded-lg border border-gray-300 dark:border-gray-600">Reject</button>` : ''}
+                        </div>
+                    </div>
+                `).join('') || '<p class="text-sm text-gray-500 py-6 text-center">Nothing to review.</p>'}
+            </div>
+            ${data.totalPages > 1 ? `
+                <div class="flex justify-center items-center gap-4 mt-6">
+                    <button id="commentsPrev" ${data.page <= 1 ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">← Prev</button>
+                    <span class="text-sm text-gray-500">Page ${data.page} of ${data.totalPages}</span>
+                    <button id="commentsNext" ${data.page >= data.totalPages ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">Next →</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('commentsPrev')?.addEventListener('click', () => renderAdminComments(container, data.page - 1));
+    document.getElementById('commentsNext')?.addEventListener('click', () => renderAdminComments(container, data.page + 1));
+}
+
+window.filterComments = function(value) {
+    state.admin.commentFilter = value;
+    renderAdminComments(document.getElementById('adminContent'));
+};
+
+window.moderateComment = async function(articleId, commentId, status) {
+    try {
+        await api.moderateComment(articleId, commentId, status);
+        showToast(status === 'approved' ? 'Comment approved' : 'Comment rejected', 'success');
+        renderAdminComments(document.getElementById('adminContent'));
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Messages -----------------------------------------
+
+const DELIVERY_STYLES = {
+    queued: 'bg-amber-100 text-amber-700',
+    sent: 'bg-green-100 text-green-700',
+    failed: 'bg-red-100 text-red-600'
+};
+
+const renderDeliveryBadge = status => `<span class="px-2 py-0.5 text-xs rounded-full ${DELIVERY_STYLES[status] || ''}">${status}</span>`;
+
+const MESSAGE_FOLDERS = [
+    { id: 'inbox', label: 'Inbox' },
+    { id: 'archived', label: 'Archived' },
+    { id: 'spam', label: 'Spam' }
+];
+
+function renderMessageThread(message) {
+    return `
+        <div class="mt-3 ml-5 space-y-3 text-sm">
+            <div class="p-4 bg-gray-50 dark:bg-gray-800/50 rounded-xl">
+                <p class="text-gray-500 mb-2"><a href="mailto:${message.email}" class="text-primary-600 hover:underline">${message.email}</a> · ${new Date(message.createdAt).toLocaleString()}</p>
+                <p class="whitespace-pre-wrap">${message.message}</p>
+            </div>
+            ${message.thread.map(reply => `
+                <div class="p-4 ml-8 bg-[#0D9489]/10 rounded-xl">
+                    <p class="text-gray-500 mb-2">You replied · ${new Date(reply.sentAt).toLocaleString()} · ${renderDeliveryBadge(reply.delivery)}</p>
+                    <p class="whitespace-pre-wrap">${reply.body}</p>
+                </div>
+            `).join('')}
+            <form data-reply="${message.id}" class="ml-8 space-y-2">
+                <textarea name="body" rows="4" maxlength="5000" required placeholder="Reply to ${message.name}..." class="${inputClass}"></textarea>
+                <div class="flex flex-wrap gap-2">
+                    <button type="submit" class="px-4 py-1.5 bg-[#0D9489] text-white rounded-lg">Send reply</button>
+                    ${message.status !== 'inbox' ? `<button type="button" onclick="messageAction('${message.id}', 'inbox')" class="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600">Move to inbox</button>` : ''}
+                    ${message.status !== 'archived' ? `<button type="button" onclick="messageAction('${message.id}', 'archive')" class="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600">Archive</button>` : ''}
+                    ${message.status !== 'spam' ? `<button type="button" onclick="messageAction('${message.id}', 'spam')" class="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600">Mark as spam</button>` : ''}
+                    <button type="button" onclick="messageAction('${message.id}', 'delete')" class="px-3 py-1.5 rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20">Delete</button>
+                </div>
+            </form>
+        </div>
+    `;
+}
+
+async function renderAdminMessages(container, page = 1) {
+    const { messageFilter: filter, messageStatus: status, messageSearch: search } = state.admin;
+    const data = await api.getMessages({
+        status,
+        ...(filter ? { read: filter } : {}),
+        ...(search ? { q: search } : {}),
+        page,
+        limit: 20
+    });
+    state.admin.messages = data.messages;
+    state.admin.messagePage = data.page;
+    
+    const filterChip = (value, label) => `
+        <button onclick="filterMessages('${value}')" class="px-3 py-1.5 rounded-full text-sm font-medium ${filter === value ? 'bg-[#0D9489] text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300'}">${label}</button>
+    `;
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <div class="flex flex-wrap gap-4 border-b border-gray-100 dark:border-gray-800 mb-4">
+                ${MESSAGE_FOLDERS.map(folder => `
+                    <button onclick="showMessageFolder('${folder.id}')" class="pb-2 text-sm font-medium border-b-2 ${status === folder.id ? 'border-[#0D9489] text-[#0D9489]' : 'border-transparent text-gray-500'}">
+                        ${folder.label} <span class="text-xs">${data.counts[folder.id]}</span>
+                    </button>
+                `).join('')}
+            </div>
+            <div class="flex flex-wrap items-center gap-2 mb-4">
+                ${filterChip('', 'All')}
+                ${filterChip('false', 'Unread')}
+                ${filterChip('true', 'Read')}
+                <form id="messageSearchForm" class="flex-1 min-w-[12rem] md:max-w-xs md:ml-auto">
+                    <input name="q" type="search" value="${escapeHtml(search)}" placeholder="Search name, email or subject" class="${inputClass}">
+                </form>
+            </div>
+            <div class="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                <label class="flex items-center gap-2 text-gray-500"><input type="checkbox" id="selectAllMessages"> Select all</label>
+                <select id="bulkMessageAction" class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white">
+                    <option value="">Bulk action…</option>
+                    <option value="read">Mark as read</option>
+                    <option value="unread">Mark as unread</option>
+                    ${status !== 'inbox' ? '<option value="inbox">Move to inbox</option>' : ''}
+                    ${status !== 'archived' ? '<option value="archive">Archive</option>' : ''}
+                    ${status !== 'spam' ? '<option value="spam">Mark as spam</option>' : ''}
+                    <option value="delete">Delete</option>
+                </select>
+                <button id="applyBulkAction" class="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600">Apply</button>
+                <span class="ml-auto text-gray-500">${data.total} messages</span>
+            </div>
+            <div id="messageList" class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.messages.map(message => `
+                    <div class="flex items-start gap-3 py-3">
+                        <input type="checkbox" class="message-select mt-1.5" value="${message.id}">
+                        <details class="flex-1 min-w-0" ontoggle="if (this.open) openMessage('${message.id}')">
+                            <summary class="flex items-center gap-3 cursor-pointer list-none">
+                                <span id="unread-${message.id}" class="w-2 h-2 rounded-full shrink-0 ${message.read ? 'bg-transparent' : 'bg-[#0D9489]'}"></span>
+                                <span class="font-semibold w-40 truncate">${message.name}</span>
+                                <span class="flex-1 truncate text-gray-600 dark:text-gray-400">${message.subject}</span>
+                                ${message.replied ? '<span class="text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-800 text-gray-500">replied</span>' : ''}
+                                <span class="text-xs text-gray-500">${formatDate(message.createdAt)}</span>
+                            </summary>
+                            ${renderMessageThread(message)}
+                        </details>
+                    </div>
+                `).join('') || '<p class="text-sm text-gray-500 py-6 text-center">No messages.</p>'}
+            </div>
+            ${data.totalPages > 1 ? `
+                <div class="flex justify-center items-center gap-4 mt-6">
+                    <button id="messagesPrev" ${data.page <= 1 ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">← Prev</button>
+                    <span class="text-sm text-gray-500">Page ${data.page} of ${data.totalPages}</span>
+                    <button id="messagesNext" ${data.page >= data.totalPages ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">Next →</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('messagesPrev')?.addEventListener('click', () => renderAdminMessages(container, data.page - 1));
+    document.getElementById('messagesNext')?.addEventListener('click', () => renderAdminMessages(container, data.page + 1));
+    
+    document.getElementById('messageSearchForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        state.admin.messageSearch = e.target.elements.q.value.trim();
+        renderAdminMessages(container);
+    });
+    
+    document.getElementById('selectAllMessages').addEventListener('change', (e) => {
+        container.querySelectorAll('.message-select').forEach(box => { box.checked = e.target.checked; });
+    });
+    
+    document.getElementById('applyBulkAction').addEventListener('click', async () => {
+        const action = document.getElementById('bulkMessageAction').value;
+        const ids = Array.from(container.querySelectorAll('.message-select:checked')).map(box => box.value);
+        if (!action || ids.length === 0) return;
+        if (action === 'delete' && !confirm(`Delete ${ids.length} messages? This cannot be undone.`)) return;
+        
+        try {
+            const result = await api.bulkMessages(ids, action);
+            showToast(result.message, 'success');
+            renderAdminMessages(container, data.page);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+    
+    document.getElementById('messageList').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const id = e.target.dataset.reply;
+        try {
+            await api.replyToMessage(id, e.target.elements.body.value.trim());
+            showToast('Reply sent', 'success');
+            renderAdminMessages(container, data.page);
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    });
+}
+
+window.filterMessages = function(value) {
+    state.admin.messageFilter = value;
+    renderAdminMessages(document.getElementById('adminContent'));
+};
+
+window.showMessageFolder = function(status) {
+    state.admin.messageStatus = status;
+    renderAdminMessages(document.getElementById('adminContent'));
+};
+
+window.openMessage = async function(id) {
+    const message = state.admin.messages.find(m => m.id === id);
+    if (!message || message.read) return;
+    
+    try {
+        await api.markMessageRead(id);
+        message.read = true;
+        document.getElementById(`unread-${id}`)?.classList.replace('bg-[#0D9489]', 'bg-transparent');
+    } catch (error) {
+        console.error('Failed to mark message read:', error);
+    }
+};
+
+window.messageAction = async function(id, action) {
+    if (action === 'delete' && !confirm('Delete this message? This cannot be undone.')) return;
+    
+    try {
+        if (action === 'delete') {
+            await api.deleteMessage(id);
+        } else {
+            await api.setMessageStatus(id, { inbox: 'inbox', archive: 'archived', spam: 'spam' }[action]);
+        }
+        showToast(action === 'delete' ? 'Message deleted' : 'Message moved', 'success');
+        renderAdminMessages(document.getElementById('adminContent'), state.admin.messagePage);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Outbox -------------------------------------------
+
+async function renderAdminOutbox(container, page = 1) {
+    const filter = state.admin.emailFilter;
+    const data = await api.getEmails({ ...(filter ? { status: filter } : {}), page, limit: 20 });
+    
+    const filterChip = (value, label) => `
+        <button onclick="filterEmails('${value}')" class="px-3 py-1.5 rounded-full text-sm font-medium ${filter === value ? 'bg-[#0D9489] text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300'}">${label}</button>
+    `;
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <div class="flex flex-wrap items-center gap-2 mb-4">
+                ${filterChip('', 'All')}
+                ${filterChip('queued', 'Queued')}
+                ${filterChip('sent', 'Sent')}
+                ${filterChip('failed', 'Failed')}
+                <span class="ml-auto text-sm text-gray-500">${data.total} emails · delivery mode: ${data.mode}</span>
+            </div>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.emails.map(email => `
+                    <div class="flex flex-wrap items-center gap-3 py-3 text-sm">
+                        ${renderDeliveryBadge(email.status)}
+                        <div class="flex-1 min-w-[12rem]">
+                            <p class="font-semibold truncate">${escapeHtml(email.subject)}</p>
+                            <p class="text-gray-500 truncate">${escapeHtml(email.to)} · ${email.template} · ${email.attempts} attempt${email.attempts === 1 ? '' : 's'}</p>
+                            ${email.lastError ? `<p class="text-xs text-red-500 truncate">${escapeHtml(email.lastError)}</p>` : ''}
+                        </div>
+                        <span class="text-xs text-gray-500">${new Date(email.sentAt || email.createdAt).toLocaleString()}</span>
+                        ${email.status === 'failed' ? `<button onclick="retryEmail('${email.id}')" class="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600">Retry</button>` : ''}
+                    </div>
+                `).join('') || '<p class="text-sm text-gray-500 py-6 text-center">No emails.</p>'}
+            </div>
+            ${data.totalPages > 1 ? `
+                <div class="flex justify-center items-center gap-4 mt-6">
+                    <button id="emailsPrev" ${data.page <= 1 ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">← Prev</button>
+                    <span class="text-sm text-gray-500">Page ${data.page} of ${data.totalPages}</span>
+                    <button id="emailsNext" ${data.page >= data.totalPages ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">Next →</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('emailsPrev')?.addEventListener('click', () => renderAdminOutbox(container, data.page - 1));
+    document.getElementById('emailsNext')?.addEventListener('click', () => renderAdminOutbox(container, data.page + 1));
+}
+
+window.filterEmails = function(value) {
+    state.admin.emailFilter = value;
+    renderAdminOutbox(document.getElementById('adminContent'));
+};
+
+window.retryEmail = async function(id) {
+    try {
+        await api.retryEmail(id);
+        showToast('Email queued for another attempt', 'success');
+        renderAdminOutbox(document.getElementById('adminContent'));
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Chats --------------------------------------------
+
+async function renderAdminChats(container, page = 1) {
+    const { q, flagged } = state.admin.chatFilter;
+    const params = { ...(q ? { q } : {}), ...(flagged ? { flagged } : {}) };
+    const data = await api.getChats({ ...params, page, limit: 20 });
+    state.admin.chatPage = data.page;
+    
+    const filterChip = (value, label) => `
+        <button onclick="filterChats('${value}')" class="px-3 py-1.5 rounded-full text-sm font-medium ${flagged === value ? 'bg-[#0D9489] text-white' : 'bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300'}">${label}</button>
+    `;
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <div class="flex flex-wrap items-center gap-2 mb-4">
+                ${filterChip('', 'All')}
+                ${filterChip('true', `Flagged (${data.flaggedCount})`)}
+                <form id="chatSearchForm" class="flex-1 min-w-[12rem] md:max-w-xs md:ml-auto">
+                    <input name="q" type="search" value="${escapeHtml(q)}" placeholder="Search messages or username" class="${inputClass}">
+                </form>
+            </div>
+            <div class="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                <span class="text-gray-500">${data.total} conversations</span>
+                <button onclick="exportChats('json')" class="ml-auto px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600">Export JSON</button>
+                <button onclick="exportChats('csv')" class="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600">Export CSV</button>
+            </div>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.sessions.map(chat => `
+                    <details class="py-3" ontoggle="if (this.open) openChat('${chat.sessionId}')">
+                        <summary class="flex items-center gap-3 cursor-pointer list-none text-sm">
+                            <span class="w-4 shrink-0" title="${chat.flagged ? 'Flagged' : ''}">${chat.flagged ? '🚩' : ''}</span>
+                            <span class="font-semibold w-32 truncate">${chat.owner.username}</span>
+                            <span class="flex-1 min-w-0">
+                                <span class="block truncate">${escapeHtml(chat.title)}</span>
+                                <span class="block truncate text-xs text-gray-500">${escapeHtml(chat.match || chat.lastMessage || '')}</span>
+                            </span>
+                            <span class="text-xs text-gray-500 whitespace-nowrap">${chat.messageCount} msgs · ${new Date(chat.updatedAt).toLocaleString()}</span>
+                        </summary>
+                        <div id="chat-${chat.sessionId}" class="mt-3 pl-7 text-sm text-gray-500">Loading...</div>
+                    </details>
+                `).join('') || '<p class="text-sm text-gray-500 py-6 text-center">No conversations.</p>'}
+            </div>
+            ${data.totalPages > 1 ? `
+                <div class="flex justify-center items-center gap-4 mt-6">
+                    <button id="chatsPrev" ${data.page <= 1 ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">← Prev</button>
+                    <span class="text-sm text-gray-500">Page ${data.page} of ${data.totalPages}</span>
+                    <button id="chatsNext" ${data.page >= data.totalPages ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">Next →</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('chatsPrev')?.addEventListener('click', () => renderAdminChats(container, data.page - 1));
+    document.getElementById('chatsNext')?.addEventListener('click', () => renderAdminChats(container, data.page + 1));
+    
+    document.getElementById('chatSearchForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        state.admin.chatFilter.q = e.target.elements.q.value.trim();
+        renderAdminChats(container);
+    });
+}
+
+function renderChatTranscript(chat) {
+    return `
+        <div class="flex flex-wrap items-center gap-2 mb-3">
+            <span class="text-xs text-gray-500">${chat.owner.type === 'user' ? escapeHtml(chat.owner.email) : 'Anonymous visitor'} · started ${new Date(chat.createdAt).toLocaleString()}</span>
+            ${chat.flagNote ? `<span class="text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400">${chat.flagNote}</span>` : ''}
+            <button onclick="flagChat('${chat.sessionId}', ${!chat.flagged})" class="ml-auto px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600">${chat.flagged ? 'Remove flag' : 'Flag'}</button>
+        </div>
+        <div class="space-y-2">
+            ${chat.messages.map(m => `
+                <div class="rounded-xl px-4 py-2 ${m.role === 'user' ? 'bg-gray-100 dark:bg-gray-800' : 'bg-teal-50 dark:bg-teal-900/20'}">
+                    <p class="text-xs text-gray-500 mb-1">${m.role === 'user' ? 'Visitor' : 'Assistant'} · ${new Date(m.timestamp).toLocaleString()}${m.stopped ? ' · stopped' : ''}</p>
+                    <p class="whitespace-pre-wrap text-gray-800 dark:text-gray-200">${escapeHtml(m.content)}</p>
+                    ${m.attachments?.length ? `
+                        <div class="flex flex-wrap gap-2 mt-2">
+                            ${m.attachments.map(a => `<a href="${a.url}" target="_blank" rel="noopener"><img src="${a.url}" alt="Attachment" class="w-20 h-20 object-cover rounded-lg"></a>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+window.openChat = async function(sessionId) {
+    const target = document.getElementById(`chat-${sessionId}`);
+    try {
+        const chat = await api.getChat(sessionId);
+        target.innerHTML = renderChatTranscript(chat);
+    } catch (error) {
+        target.textContent = 'Failed to load the conversation.';
+    }
+};
+
+window.filterChats = function(value) {
+    state.admin.chatFilter.flagged = value;
+    renderAdminChats(document.getElementById('adminContent'));
+};
+
+window.flagChat = async function(sessionId, flagged) {
+    const note = flagged ? prompt('Why are you flagging this conversation? (optional)') : null;
+    if (note === null && flagged) return;
+    
+    try {
+        await api.flagChat(sessionId, flagged, note);
+        showToast(flagged ? 'Conversation flagged' : 'Flag removed', 'success');
+        renderAdminChats(document.getElementById('adminContent'), state.admin.chatPage);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.exportChats = async function(format) {
+    const { q, flagged } = state.admin.chatFilter;
+    try {
+        await api.downloadChats({ ...(q ? { q } : {}), ...(flagged ? { flagged } : {}), format });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// --- Users --------------------------------------------
+
+async function renderAdminUsers(container, page = 1) {
+    const { q, role } = state.admin.userFilter;
+    const [data, rolesData] = await Promise.all([
+        api.getUsers({ ...(q ? { q } : {}), ...(role ? { role } : {}), page, limit: 20 }),
+        state.admin.roles ? null : api.getRoles()
+    ]);
+    if (rolesData) {
+        state.admin.roles = rolesData.roles.map(r => r.role);
+    }
+    state.admin.users = data.users;
+    
+    const roleOptions = selected => state.admin.roles
+        .map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${r}</option>`)
+        .join('');
+    
+    container.innerHTML = `
+        <div class="${cardClass}">
+            <form id="userFilterForm" class="flex flex-wrap items-center gap-2 mb-4">
+                <input name="q" value="${escapeHtml(q)}" placeholder="Search by name or email" class="${inputClass} md:w-72 flex-1 md:flex-none">
+                <select name="role" class="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-800 dark:text-white">
+                    <option value="">All roles</option>
+                    ${roleOptions(role)}
+                </select>
+                <button type="submit" class="px-4 py-2 bg-[#0D9489] text-white rounded-lg">Filter</button>
+                <span class="ml-auto text-sm text-gray-500">${data.total} users</span>
+            </form>
+            <div class="divide-y divide-gray-100 dark:divide-gray-800">
+                ${data.users.map(user => {
+                    const isSelf = user.id === state.user.id;
+                    return `
+                        <div class="flex flex-wrap items-center gap-3 py-3">
+                            <div class="flex-1 min-w-[12rem]">
+                                <p class="font-semibold">
+                                    ${user.username}
+                                    ${user.suspended ? '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-600">suspended</span>' : ''}
+                                    ${user.emailVerified === false ? '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-700">unverified</span>' : ''}
+                                </p>
+                                <p class="text-sm text-gray-500">${escapeHtml(user.email)} · joined ${formatDate(user.createdAt)}</p>
+                                ${user.suspended && user.suspendedReason ? `<p class="text-xs text-red-500">${user.suspendedReason}</p>` : ''}
+                            </div>
+                            <select onchange="setUserRole('${user.id}', this.value)" ${isSelf ? 'disabled' : ''} class="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm dark:bg-gray-800 dark:text-white disabled:opacity-50">
+                                ${roleOptions(user.role)}
+                            </select>
+                            ${isSelf ? '<span class="text-xs text-gray-400 w-40 text-right">This is you</span>' : `
+                                <button onclick="toggleUserSuspension('${user.id}')" class="px-3 py-1.5 text-sm rounded-lg border border-gray-300 dark:border-gray-600">${user.suspended ? 'Unsuspend' : 'Suspend'}</button>
+                                <button onclick="deleteUser('${user.id}')" class="px-3 py-1.5 text-sm rounded-lg text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20">Delete</button>
+                            `}
+                        </div>
+                    `;
+                }).join('') || '<p class="text-sm text-gray-500 py-6 text-center">No users found.</p>'}
+            </div>
+            ${data.totalPages > 1 ? `
+                <div class="flex justify-center items-center gap-4 mt-6">
+                    <button id="usersPrev" ${data.page <= 1 ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">← Prev</button>
+                    <span class="text-sm text-gray-500">Page ${data.page} of ${data.totalPages}</span>
+                    <button id="usersNext" ${data.page >= data.totalPages ? 'disabled' : ''} class="px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 disabled:opacity-40">Next →</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('userFilterForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        state.admin.userFilter = {
+            q: e.target.elements.q.value.trim(),
+            role: e.target.elements.role.value
+        };
+        renderAdminUsers(container);
+    });
+    document.getElementById('usersPrev')?.addEventListener('click', () => renderAdminUsers(container, data.page - 1));
+    document.getElementById('usersNext')?.addEventListener('click', () => renderAdminUsers(container, data.page + 1));
+}
+
+window.setUserRole = async function(id, role) {
+    try {
+        await api.setUserRole(id, role);
+        showToast(`Role changed to ${role}`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+    renderAdminUsers(document.getElementById('adminContent'));
+};
+
+window.toggleUserSuspension = async function(id) {
+    const user = state.admin.users.find(u => u.id === id);
+    if (!user) return;
+    
+    let reason = '';
+    if (!user.suspended) {
+        reason = prompt(`Suspend ${user.username}? Optionally give a reason:`);
+        if (reason === null) return;
+    }
+    
+    try {
+        await api.suspendUser(id, !user.suspended, reason);
+        showToast(user.suspended ? 'User reinstated' : 'User suspended', 'success');
+        renderAdminUsers(document.getElementById('adminContent'));
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+window.deleteUser = async function(id) {
+    const user = state.admin.users.find(u => u.id === id);
+    if (!user || !confirm(`Delete ${user.username}? This cannot be undone.`)) return;
+    
+    try {
+        await api.deleteUser(id);
+        showToast('User deleted', 'success');
+        renderAdminUsers(document.getElementById('adminContent'));
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+};
+
+// =====================================================
+// ROUTING
+// =====================================================
+
+const SITE_TITLE = 'Muhammad Teguh Marwin';
+const DEFAULT_TITLE = `${SITE_TITLE} | Full-Stack Developer & AI Enthusiast`;
+
+const routes = [
+    { path: '/', render: () => renderDashboard() },
+    { path: '/projects', title: 'Projects', render: () => renderProjectsPage() },
+    { path: '/projects/:id', title: 'Project', render: ({ id }) => renderProjectPage(id) },
+    { path: '/blog', title: 'Blog', render: () => renderBlogIndex() },
+    { path: '/blog/:slug', title: 'Blog', render: ({ slug }) => renderArticlePage(slug) },
+    { path: '/admin', title: 'Admin', render: () => renderAdminPage() },
+    { path: '/verify-email', title: 'Verify Email', render: () => handleEmailVerification() },
+    { path: '/reset-password', title: 'Reset Password', render: () => handlePasswordReset() }
+].map(route => ({
+    ...route,
+    pattern: new RegExp('^' + route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '/?$')
+}));
+
+// Email links land on these routes: show the home page underneath,
+// then drop the one-time token from the address bar.
+async function handleEmailVerification() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    history.replaceState(history.state, '', '/');
+    await renderDashboard();
+    
+    try {
+        const result = await api.verifyEmail(token);
+        if (state.user) {
+            api.setSession({ token: state.token, user: { ...state.user, emailVerified: true } });
+            updateUserInterface();
+        }
+        showToast(result.message, 'success');
+    } catch (error) {
+        // api.request already reported the failure
+    }
+}
+
+async function handlePasswordReset() {
+    const token = new URLSearchParams(window.location.search).get('token');
+    history.replaceState(history.state, '', '/');
+    await renderDashboard();
+    window.showResetPasswordModal(token);
+}
+
+function setPageTitle(title) {
+    document.title = title ? `${title} | ${SITE_TITLE}` : DEFAULT_TITLE;
+}
+
+function matchRoute(pathname) {
+    for (const route of routes) {
+        const match = pathname.match(route.pattern);
+        if (match) {
+            const params = Object.fromEntries(
+                Object.entries(match.groups || {}).map(([key, value]) => [key, decodeURIComponent(value)])
+            );
+            return { route, params };
+        }
+    }
+    return null;
+}
+
+function renderNotFound(message = 'Page not found') {
+    setPageTitle('Not Found');
+    document.getElementById('app').innerHTML = `
+        <div class="max-w-3xl mx-auto text-center py-20">
+            <p class="text-6xl font-bold text-primary-600 mb-4">404</p>
+            <h1 class="text-3xl font-bold mb-4">${message}</h1>
+            <a href="/" data-link class="text-primary-600 hover:text-primary-700 font-medium">← Back home</a>
+        </div>
+    `;
+}
+
+function scrollToHash() {
+    const target = window.location.hash && document.getElementById(window.location.hash.slice(1));
+    if (target) {
+        target.scrollIntoView();
+        return true;
+    }
+    return false;
+}
+
+// Renders the view for the current URL. `scrollY` restores the position
+// saved in history state when going back/forward.
+// Page loads that finish after the visitor has already navigated elsewhere
+// must not overwrite the newer page
+const isStaleRender = renderId => renderId !== state.renderId;
+
+async function renderRoute(scrollY = null) {
+    const renderId = ++state.renderId;
+    const matched = matchRoute(window.location.pathname);
+    
+    if (matched) {
+        setPageTitle(matched.route.title);
+        await matched.route.render(matched.params);
+        if (isStaleRender(renderId)) return;
+    } else {
+        renderNotFound();
+    }
+    
+    if (scrollY !== null) {
+        window.scrollTo(0, scrollY);
+    } else if (!scrollToHash()) {
+        window.scrollTo(0, 0);
+    }
+}
+
+function navigate(url) {
+    const target = new URL(url, window.location.origin);
+    const samePage = target.pathname === window.location.pathname;
+    
+    // Remember where we were so the back button can return to it
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    history.pushState({ scrollY: 0 }, '', target.pathname + target.search + target.hash);
+    
+    // Same page, different section: just scroll
+    if (samePage && target.hash && scrollToHash()) {
+        return;
+    }
+    renderRoute();
+}
+
+window.navigate = navigate;
+
+history.scrollRestoration = 'manual';
+
+document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-link]');
+    if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+    e.preventDefault();
+    navigate(link.getAttribute('href'));
+});
+
+window.addEventListener('popstate', (e) => {
+    renderRoute(e.state?.scrollY ?? null);
+});
+
+// =====================================================
+// SOCKET.IO
+// =====================================================
+
+function initSocket() {
+    state.socket = io();
+    
+    state.socket.on('connect', () => {
+        console.log('Socket connected');
+        state.socket.emit('join', { room: 'general' });
+    });
+    
+    state.socket.on('chat response', (data) => {
+        if (data.error) {
+            showToast(data.error, 'error');
+        } else {
+            addChatMessage('ai', data.response, data.html);
+        }
+    });
+}
+
+// =====================================================
+// LIKES
+// =====================================================
+
+const HEART_PATH = 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z';
+
+function renderLikeButton(kind, item) {
+    const handler = kind === 'project' ? 'likeProject' : 'likeArticle';
+    return `
+        <button onclick="${handler}('${item.id}')" data-like="${item.id}" data-liked="${Boolean(item.likedByMe)}" aria-pressed="${Boolean(item.likedByMe)}" class="flex items-center gap-1 ${item.likedByMe ? 'text-red-500' : 'text-gray-500'} hover:text-red-500">
+            <svg class="w-5 h-5" fill="${item.likedByMe ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${HEART_PATH}"/></svg>
+            <span>${item.likes || 0}</span>
+        </button>
+    `;
+}
+
+// Updates every heart for the item, e.g. a card and the detail view
+function updateLikeButtons(id, { likes, likedByMe }) {
+    document.querySelectorAll(`[data-like="${id}"]`).forEach(button => {
+        button.dataset.liked = likedByMe;
+        button.setAttribute('aria-pressed', likedByMe);
+        button.classList.toggle('text-red-500', likedByMe);
+        button.classList.toggle('text-gray-500', !likedByMe);
+        button.querySelector('svg').setAttribute('fill', likedByMe ? 'currentColor' : 'none');
+        button.querySelector('span').textContent = likes;
+    });
+}
+
+async function toggleLike(kind, id) {
+    if (!state.user) {
+        showToast(`Please login to like ${kind}s`, 'warning');
+        showLoginModal();
+        return;
+    }
+    
+    const button = document.querySelector(`[data-like="${id}"]`);
+    const liked = button?.dataset.liked !== 'true';
+    
+    try {
+        const data = kind === 'project' ? await api.likeProject(id, liked) : await api.likeArticle(id, liked);
+        updateLikeButtons(id, data);
+    } catch (error) {
+        showToast('Failed to update like', 'error');
+    }
+}
+
+window.likeProject = (projectId) => toggleLike('project', projectId);
+
+window.likeArticle = (articleId) => toggleLike('article', articleId);
+
+// =====================================================
+// ENTER KEY FOR CHAT
+// =====================================================
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && document.activeElement?.id === 'aiChatInput') {
+        e.preventDefault();
+        window.sendAIChat();
+    }
+});
+
+// =====================================================
+// CHAT ATTACHMENTS
+// =====================================================
+
+const CHAT_MAX_ATTACHMENTS = 4;
+
+function renderChatAttachments() {
+    const strip = document.getElementById('aiChatAttachments');
+    strip.innerHTML = state.chatAttachments.map((attachment, index) => `
+        <div class="ai-chat-attachment">
+            <img src="${attachment.url}" alt="${escapeHtml(attachment.name || '')}">
+            <button onclick="window.removeChatAttachment(${index})" title="Hapus gambar">✕</button>
+        </div>
+    `).join('') + (state.chatUploads > 0 ? '<div class="ai-chat-attachment uploading">…</div>' : '');
+}
+
+// Uploads right away so sending only has to pass the URLs along
+window.attachChatImages = async function(files) {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    const room = CHAT_MAX_ATTACHMENTS - state.chatAttachments.length - state.chatUploads;
+    if (images.length > room) {
+        showToast(`Maksimal ${CHAT_MAX_ATTACHMENTS} gambar per pesan`, 'error');
+    }
+    
+    await Promise.all(images.slice(0, Math.max(room, 0)).map(async file => {
+        state.chatUploads++;
+        renderChatAttachments();
+        try {
+            state.chatAttachments.push(await api.uploadChatImage(file));
+        } catch (error) {
+            // request() already showed the error
+        } finally {
+            state.chatUploads--;
+            renderChatAttachments();
+        }
+    }));
+};
+
+window.removeChatAttachment = function(index) {
+    state.chatAttachments.splice(index, 1);
+    renderChatAttachments();
+};
+
+document.addEventListener('paste', (e) => {
+    if (document.activeElement?.id !== 'aiChatInput') return;
+    const files = Array.from(e.clipboardData?.files || []).filter(file => file.type.startsWith('image/'));
+    if (files.length) {
+        e.preventDefault();
+        window.attachChatImages(files);
+    }
+});
+
+['dragover', 'dragleave', 'drop'].forEach(type => {
+    document.addEventListener(type, (e) => {
+        const container = e.target.closest?.('#aiChatContainer');
+        if (!container) return;
+        e.preventDefault();
+        container.classList.toggle('dragging', type === 'dragover');
+        if (type === 'drop') {
+            window.attachChatImages(e.dataTransfer.files);
+        }
+    });
+});
+
+// =====================================================
+// PROFILE MENU TOGGLE
+// =====================================================
+
+document.addEventListener('click', (e) => {
+    const profileMenu = document.getElementById('profile-menu');
+    const profileButton = document.getElementById('profile-button');
+    
+    if (profileButton && profileButton.contains(e.target)) {
+        profileMenu.classList.toggle('hidden');
+    } else if (profileMenu && !profileMenu.contains(e.target)) {
+        profileMenu.classList.add('hidden');
+    }
+});
+
+// =====================================================
+// INITIALIZATION
+// =====================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    initTheme();
+    initCursor();
+    initRunningTime();
+    initSocket();
+    
+    document.getElementById('theme-toggle')?.addEventListener('click', toggleTheme);
+    document.getElementById('mobile-theme-toggle')?.addEventListener('click', toggleTheme);
+    
+    renderRoute();
+    
+    if (state.chatSessionId) {
+        loadChatHistory().catch(console.error);
     }
     
     updateUserInterface();
@@ -15,7 +15,12 @@ import axios from 'axios';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+import hljs from 'highlight.js';
+import cookieParser from 'cookie-parser';
 
 dotenv.config();
 
@@ -55,29 +60,276 @@ const logger = winston.createLogger({
 });
 
 // =====================================================
-// IN-MEMORY DATABASE
+// PERSISTENCE LAYER
+// =====================================================
+
+// Storage backends only load and save a snapshot of every collection;
+// the working set itself always lives in memory.
+class MemoryStore {
+  async load() {
+    return {};
+  }
+
+  async save() {}
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Only these fields hold dates; anything else that looks like one (a chat
+// message, a comment) is user content and stays a string
+const DATE_FIELDS = new Set([
+  'createdAt', 'updatedAt', 'publishAt', 'expiresAt', 'lastLogin', 'lastUsedAt', 'rotatedAt',
+  'revokedAt', 'usedAt', 'sentAt', 'nextAttemptAt', 'editedAt', 'moderatedAt', 'repliedAt',
+  'suspendedAt', 'flaggedAt', 'deletedAt', 'timestamp'
+]);
+
+function reviveDates(key, value) {
+  return DATE_FIELDS.has(key) && typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+}
+
+class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw, reviveDates);
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async save(snapshot) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file first so a crash mid-write never corrupts the store
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+// Map-like collection with automatically maintained secondary indexes.
+// Indexed fields may hold a single value or an array of values.
+class Collection {
+  constructor(name, { indexes = [], cap = 0 } = {}, onChange = () => {}) {
+    this.name = name;
+    this.cap = cap;
+    this.onChange = onChange;
+    this.docs = new Map();
+    this.indexes = new Map(indexes.map(field => [field, new Map()]));
+    this.indexedKeys = new Map();
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  get(id) {
+    return this.docs.get(id);
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  values() {
+    return this.docs.values();
+  }
+
+  set(id, doc) {
+    this.unindex(id);
+    this.docs.set(id, doc);
+    this.reindex(id, doc);
+
+    if (this.cap && this.docs.size > this.cap) {
+      const oldestId = this.docs.keys().next().value;
+      this.delete(oldestId);
+    }
+
+    this.onChange();
+    return this;
+  }
+
+  delete(id) {
+    if (!this.docs.has(id)) return false;
+    this.unindex(id);
+    this.docs.delete(id);
+    this.onChange();
+    return true;
+  }
+
+  // Read-only view over one index: value -> document id
+  index(field) {
+    const entries = this.indexes.get(field);
+    if (!entries) {
+      throw new Error(`Collection "${this.name}" has no index on "${field}"`);
+    }
+    return {
+      get: value => entries.get(value),
+      has: value => entries.has(value)
+    };
+  }
+
+  reindex(id, doc) {
+    const keys = {};
+    for (const [field, entries] of this.indexes) {
+      const values = [].concat(doc[field] ?? []);
+      values.forEach(value => entries.set(value, id));
+      keys[field] = values;
+    }
+    this.indexedKeys.set(id, keys);
+  }
+
+  unindex(id) {
+    const keys = this.indexedKeys.get(id);
+    if (!keys) return;
+    for (const [field, values] of Object.entries(keys)) {
+      const entries = this.indexes.get(field);
+      values.forEach(value => {
+        if (entries.get(value) === id) entries.delete(value);
+      });
+    }
+    this.indexedKeys.delete(id);
+  }
+
+  load(docs = []) {
+    this.docs.clear();
+    this.indexes.forEach(entries => entries.clear());
+    this.indexedKeys.clear();
+    docs.forEach(({ id, doc }) => {
+      this.docs.set(id, doc);
+      this.reindex(id, doc);
+    });
+  }
+
+  toJSON() {
+    return Array.from(this.docs, ([id, doc]) => ({ id, doc }));
+  }
+}
+
+class Database {
+  constructor(store, { flushDelay = 1000 } = {}) {
+    this.store = store;
+    this.flushDelay = flushDelay;
+    this.collections = new Map();
+    this.flushTimer = null;
+    this.pendingSave = Promise.resolve();
+  }
+
+  collection(name, options) {
+    const collection = new Collection(name, options, () => this.scheduleFlush());
+    this.collections.set(name, collection);
+    return collection;
+  }
+
+  async load() {
+    const snapshot = await this.store.load();
+    for (const [name, collection] of this.collections) {
+      collection.load(snapshot[name]);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch(error => logger.error('Database flush error:', error));
+    }, this.flushDelay);
+  }
+
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const snapshot = {};
+    for (const [name, collection] of this.collections) {
+      snapshot[name] = collection.toJSON();
+    }
+
+    // Chain saves so two flushes never write the file concurrently. A failed
+    // save must not block the ones after it; its caller still gets the error.
+    const save = this.pendingSave.catch(() => {}).then(() => this.store.save(snapshot));
+    this.pendingSave = save;
+    return save;
+  }
+}
+
+function createStore() {
+  const driver = process.env.DATA_STORE || 'json';
+
+  if (driver === 'memory') {
+    logger.warn('⚠️ DATA_STORE=memory, data will be lost on restart');
+    return new MemoryStore();
+  }
+  if (driver === 'json') {
+    const filePath = process.env.DATA_FILE || path.join(__dirname, 'data', 'db.json');
+    logger.info(`💾 Persisting data to ${filePath}`);
+    return new JsonFileStore(filePath);
+  }
+
+  throw new Error(`Unknown DATA_STORE "${driver}" (expected "json" or "memory")`);
+}
+
+const db = new Database(createStore());
+
+// =====================================================
+// DATA COLLECTIONS
 // =====================================================
 
 // Users collection
-const users = new Map();
-const usersByEmail = new Map();
-const usersByUsername = new Map();
+const users = db.collection('users', { indexes: ['email', 'username'] });
+const usersByEmail = users.index('email');
+const usersByUsername = users.index('username');
 
 // Projects collection
-const projects = new Map();
+const projects = db.collection('projects');
 
 // Articles collection
-const articles = new Map();
-const articlesBySlug = new Map();
+const articles = db.collection('articles', { indexes: ['slug', 'previousSlugs'] });
+const articlesBySlug = articles.index('slug');
+const articlesByPreviousSlug = articles.index('previousSlugs');
 
 // Messages collection
-const messages = new Map();
+const messages = db.collection('messages');
 
 // Chat history collection
-const chatSessions = new Map();
+const chatSessions = db.collection('chatSessions');
+
+// Images uploaded for the chat, keyed by filename, with their uploader and
+// the conversation they were sent in
+const chatUploads = db.collection('chatUploads');
+
+// Login sessions, one per device, holding the hashed refresh token
+const sessions = db.collection('sessions', { indexes: ['tokenHash', 'previousTokenHash'] });
+const sessionsByTokenHash = sessions.index('tokenHash');
+const sessionsByPreviousTokenHash = sessions.index('previousTokenHash');
+
+// Single-use email verification and password reset tokens
+const authTokens = db.collection('authTokens', { indexes: ['tokenHash'] });
+const authTokensByHash = authTokens.index('tokenHash');
 
-// Analytics collection
-const analytics = [];
+// One record per user and liked project or article
+const likes = db.collection('likes', { indexes: ['key'] });
+const likesByKey = likes.index('key');
+
+// Per-day view counts, one document per project or article
+const viewHistory = db.collection('viewHistory');
+
+// Outgoing emails with their delivery status
+const emailOutbox = db.collection('emailOutbox');
+
+// Contact form submissions turned away by the spam checks
+const contactRejections = db.collection('contactRejections', { cap: 1000 });
+
+// Contact form challenges already solved, kept until they would have expired anyway
+const usedChallenges = db.collection('usedChallenges');
+
+// Analytics collection (oldest entries are dropped past the cap)
+const analytics = db.collection('analytics', { cap: 1000 });
+
+await db.load();
 
 // =====================================================
 // INITIAL SAMPLE DATA
@@ -104,13 +356,12 @@ async function initializeSampleData() {
       twitter: 'https://twitter.com/teguh',
       instagram: 'https://instagram.com/teguh'
     },
+    emailVerified: true,
     createdAt: new Date(),
     lastLogin: null
   };
 
   users.set(adminId, adminUser);
-  usersByEmail.set(adminUser.email, adminId);
-  usersByUsername.set(adminUser.username, adminId);
 
   // Create sample user
   const userId = uuidv4();
@@ -130,13 +381,12 @@ async function initializeSampleData() {
       twitter: 'https://twitter.com/johndoe',
       instagram: 'https://instagram.com/johndoe'
     },
+    emailVerified: true,
     createdAt: new Date(),
     lastLogin: null
   };
 
   users.set(userId, sampleUser);
-  usersByEmail.set(sampleUser.email, userId);
-  usersByUsername.set(sampleUser.username, userId);
 
   // Create sample projects
   const sampleProjects = [
@@ -239,7 +489,6 @@ async function initializeSampleData() {
 
   sampleArticles.forEach(article => {
     articles.set(article.id, article);
-    articlesBySlug.set(article.slug, article.id);
   });
 
   logger.info(`✅ Sample data initialized:
@@ -249,8 +498,10 @@ async function initializeSampleData() {
   `);
 }
 
-// Initialize sample data
-await initializeSampleData();
+// Seed sample data only into an empty store
+if (users.size === 0) {
+  await initializeSampleData();
+}
 
 // =====================================================
 // MULTER CONFIG FOR FILE UPLOADS
@@ -289,12 +540,24 @@ const upload = multer({
 });
 
 // =====================================================
-// EMAIL TRANSPORTER
+// EMAIL
 // =====================================================
 
-let transporter;
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+const EMAIL_FROM = `"Muhammad Teguh Marwin" <${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost'}>`;
+const CONTACT_EMAIL = process.env.CONTACT_EMAIL || process.env.EMAIL_USER;
+
+// smtp sends through Gmail; file writes each email as an .eml file for
+// inspection during development; log only prints it
+const EMAIL_MODE = process.env.EMAIL_MODE ||
+  (process.env.EMAIL_USER && process.env.EMAIL_PASS ? 'smtp' : 'file');
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, 'data', 'outbox');
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_RETRY_BASE_MS = 60 * 1000;
+
+let transporter = null;
 try {
-  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+  if (EMAIL_MODE === 'smtp') {
     transporter = nodemailer.createTransport({
       service: 'gmail',
       auth: {
@@ -303,813 +566,3383 @@ try {
       }
     });
     logger.info('✅ Email transporter configured');
+  } else if (EMAIL_MODE === 'file') {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    logger.info(`📁 Emails will be written to ${EMAIL_OUTBOX_DIR}`);
   } else {
-    logger.warn('⚠️ Email credentials missing, emails will be logged only');
-    transporter = null;
+    logger.warn('⚠️ Email delivery disabled, emails will be logged only');
   }
 } catch (error) {
   logger.error('❌ Email transporter error:', error.message);
   transporter = null;
 }
 
-// =====================================================
-// MIDDLEWARE
-// =====================================================
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: { message: 'Too many requests from this IP, please try again later.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const renderEmailLayout = (content) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937">
+    ${content}
+    <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0">
+    <p style="color: #6b7280; font-size: 12px">Muhammad Teguh Marwin · <a href="${APP_URL}">${APP_URL}</a></p>
+  </div>
+`;
 
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  message: { message: 'Too many authentication attempts, please try again later.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const toHtmlLines = (text) => String(text).replace(/\n/g, '<br>');
 
-// CORS options
-const corsOptions = {
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://yourdomain.com'] 
-    : ['http://localhost:3000', 'http://localhost:5500', 'http://127.0.0.1:3000'],
-  credentials: true,
-  optionsSuccessStatus: 200
-};
+// Reverses express-validator's escape() for the plain-text part
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&#x2F;': '/', '&#x5C;': '\\', '&#96;': '`' };
+const unescapeText = (text) => text.replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity]);
 
-// Middleware to verify JWT
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Each template turns its data into { subject, html, text }. Values that come
+// from request bodies are already HTML-escaped by the validators.
+const EMAIL_TEMPLATES = {
+  'contact-notification': ({ name, email, subject, message }) => ({
+    subject: `New Contact Form: ${subject}`,
+    text: `New contact message\n\nName: ${name}\nEmail: ${email}\nSubject: ${subject}\n\n${message}`,
+    html: renderEmailLayout(`
+      <h3>New Contact Message</h3>
+      <p><strong>Name:</strong> ${name}</p>
+      <p><strong>Email:</strong> ${email}</p>
+      <p><strong>Subject:</strong> ${subject}</p>
+      <p><strong>Message:</strong></p>
+      <p>${toHtmlLines(message)}</p>
+      <p><a href="${APP_URL}/admin?tab=messages">Open the inbox</a></p>
+    `)
+  }),
   
-  if (!token) {
-    return res.status(401).json({ message: 'Authentication required' });
-  }
+  'contact-auto-reply': ({ name }) => ({
+    subject: 'Thank you for contacting Muhammad Teguh Marwin',
+    text: `Dear ${name},\n\nThank you for contacting me. I have received your message and will get back to you as soon as possible.\n\nBest regards,\nMuhammad Teguh Marwin`,
+    html: renderEmailLayout(`
+      <h3>Thank you for reaching out!</h3>
+      <p>Dear ${name},</p>
+      <p>Thank you for contacting me. I have received your message and will get back to you as soon as possible.</p>
+      <p>Best regards,<br>Muhammad Teguh Marwin</p>
+    `)
+  }),
   
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  'message-reply': ({ name, subject, reply, original, receivedAt }) => ({
+    subject: `Re: ${subject}`,
+    text: `${reply}\n\nBest regards,\nMuhammad Teguh Marwin\n\nOn ${receivedAt.toUTCString()}, ${name} wrote:\n${original}`,
+    html: renderEmailLayout(`
+      <p>${toHtmlLines(reply)}</p>
+      <p>Best regards,<br>Muhammad Teguh Marwin</p>
+      <p style="color: #6b7280">On ${receivedAt.toUTCString()}, ${name} wrote:</p>
+      <blockquote style="color: #6b7280">${toHtmlLines(original)}</blockquote>
+    `)
+  }),
+  
+  'verify-email': ({ username, link }) => ({
+    subject: 'Verify your email address',
+    text: `Hi ${username},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: renderEmailLayout(`
+      <h3>Welcome, ${username}!</h3>
+      <p>Please verify your email address by clicking the link below:</p>
+      <p><a href="${link}">Verify my email</a></p>
+      <p>The link expires in 24 hours.</p>
+    `)
+  }),
+  
+  'reset-password': ({ username, link }) => ({
+    subject: 'Reset your password',
+    text: `Hi ${username},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: renderEmailLayout(`
+      <h3>Password reset</h3>
+      <p>Hi ${username}, click the link below to choose a new password:</p>
+      <p><a href="${link}">Reset my password</a></p>
+      <p>The link expires in 1 hour. If you did not request this, you can ignore this email.</p>
+    `)
+  })
 };
 
-// Admin middleware
-const isAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
+// These emails carry one-time links that grant access to an account. Their
+// bodies stay in memory until delivered and are never stored or listed, so
+// nobody with outbox access can read the link.
+const SECRET_EMAIL_TEMPLATES = ['verify-email', 'reset-password'];
+const REDACTED_EMAIL_TEXT = '[Redacted: this email contains a one-time link]';
+const secretEmailBodies = new Map();
+
+// Emails queued before redaction existed may still hold a live link
+for (const email of Array.from(emailOutbox.values())) {
+  if (SECRET_EMAIL_TEMPLATES.includes(email.template) && email.text !== REDACTED_EMAIL_TEXT) {
+    emailOutbox.set(email.id, { ...email, html: null, text: REDACTED_EMAIL_TEXT });
   }
-  next();
-};
+}
 
-// Analytics middleware
-const trackAnalytics = (req, res, next) => {
-  if (req.path.startsWith('/api/') || req.path.includes('.')) {
-    return next();
+function getEmailBody(email) {
+  if (!SECRET_EMAIL_TEMPLATES.includes(email.template)) {
+    return { html: email.html, text: email.text };
+  }
+  const body = secretEmailBodies.get(email.id);
+  if (!body) {
+    const error = new Error('Email body is no longer available after a restart; a new link has to be requested');
+    error.permanent = true;
+    throw error;
   }
+  return body;
+}
+
+async function deliverEmail(email) {
+  const { html, text } = getEmailBody(email);
+  const mail = { from: EMAIL_FROM, to: email.to, subject: email.subject, html, text };
+  
+  if (!transporter) {
+    logger.info(`📧 Email to ${email.to}: ${email.subject}\n${text}`);
+    return;
+  }
+  
+  const info = await transporter.sendMail(mail);
+  if (EMAIL_MODE === 'file') {
+    await fs.promises.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(EMAIL_OUTBOX_DIR, `${email.id}.eml`), info.message);
+  }
+}
+
+let outboxRunning = false;
+
+// Sends every queued email that is due; failures are retried with exponential
+// backoff until EMAIL_MAX_ATTEMPTS is reached
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
   
   try {
-    analytics.push({
-      id: uuidv4(),
-      page: req.path,
-      ip: req.ip || req.socket.remoteAddress || '0.0.0.0',
-      userAgent: req.headers['user-agent'] || 'unknown',
-      referrer: req.headers['referer'] || 'direct',
-      timestamp: new Date()
-    });
+    const now = new Date();
+    const due = Array.from(emailOutbox.values())
+      .filter(email => email.status === 'queued' && email.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt);
     
-    if (analytics.length > 1000) {
-      analytics.splice(0, analytics.length - 1000);
+    for (const email of due) {
+      email.attempts += 1;
+      try {
+        await deliverEmail(email);
+        email.status = 'sent';
+        email.sentAt = new Date();
+        email.lastError = null;
+        secretEmailBodies.delete(email.id);
+      } catch (error) {
+        email.lastError = error.message;
+        if (email.attempts >= EMAIL_MAX_ATTEMPTS || error.permanent) {
+          email.status = 'failed';
+          logger.error(`Email ${email.id} to ${email.to} failed permanently: ${error.message}`);
+        } else {
+          email.nextAttemptAt = new Date(Date.now() + EMAIL_RETRY_BASE_MS * 2 ** (email.attempts - 1));
+          logger.warn(`Email ${email.id} to ${email.to} failed, retrying at ${email.nextAttemptAt.toISOString()}: ${error.message}`);
+        }
+      }
+      emailOutbox.set(email.id, email);
     }
-  } catch (error) {
-    logger.error('Analytics error:', error);
+  } finally {
+    outboxRunning = false;
   }
-  next();
-};
+}
+
+// Renders a template and queues it for delivery; returns the outbox record
+function queueEmail(template, to, data) {
+  const { subject, html, text } = EMAIL_TEMPLATES[template](data);
+  const secret = SECRET_EMAIL_TEMPLATES.includes(template);
+  const email = {
+    id: uuidv4(),
+    template,
+    to,
+    subject: unescapeText(subject),
+    html: secret ? null : html,
+    text: secret ? REDACTED_EMAIL_TEXT : unescapeText(text),
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: new Date(),
+    createdAt: new Date(),
+    sentAt: null
+  };
+  
+  if (secret) {
+    secretEmailBodies.set(email.id, { html, text: unescapeText(text) });
+  }
+  emailOutbox.set(email.id, email);
+  setImmediate(() => processOutbox().catch(error => logger.error('Outbox error:', error)));
+  return email;
+}
+
+setInterval(() => {
+  processOutbox().catch(error => logger.error('Outbox error:', error));
+  
+  // Sent emails are kept for a month as a delivery log
+  const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  for (const email of Array.from(emailOutbox.values())) {
+    if (email.status === 'sent' && email.sentAt < cutoff) {
+      emailOutbox.delete(email.id);
+    }
+  }
+}, 30 * 1000).unref();
 
 // =====================================================
-// MIDDLEWARE USAGE
+// MARKDOWN RENDERING
 // =====================================================
 
-app.use(helmet({
-  contentSecurityPolicy: false,
-  crossOriginEmbedderPolicy: false
-}));
+const markdownSanitizeOptions = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del']),
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel', 'class', 'aria-hidden'],
+    img: ['src', 'alt', 'title'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    code: ['class'],
+    span: ['class'],
+    td: ['align'],
+    th: ['align']
+  },
+  allowedClasses: {
+    a: ['heading-anchor'],
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto']
+};
 
-app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Headings may contain inline HTML; the table of contents only keeps their
+// text, which clients escape like any other text
+const toPlainText = (html) => sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .trim();
 
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, 'public')));
+// Renders Markdown to sanitized HTML and collects a table of contents
+// from the headings, each of which gets a stable anchor id.
+function renderMarkdown(markdown = '') {
+  const toc = [];
+  const anchorCounts = new Map();
+  
+  const markdownRenderer = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const html = this.parser.parseInline(tokens);
+        const text = toPlainText(html);
+        
+        const base = slugify(text) || 'section';
+        const count = anchorCounts.get(base) || 0;
+        anchorCounts.set(base, count + 1);
+        const anchor = count ? `${base}-${count}` : base;
+        
+        toc.push({ level: depth, text, anchor });
+        return `<h${depth} id="${anchor}"><a class="heading-anchor" href="#${anchor}" aria-hidden="true">#</a> ${html}</h${depth}>\n`;
+      },
+      code({ text, lang }) {
+        const language = lang && hljs.getLanguage(lang) ? lang : null;
+        const highlighted = language
+          ? hljs.highlight(text, { language }).value
+          : hljs.highlightAuto(text).value;
+        return `<pre><code class="hljs language-${language || 'plaintext'}">${highlighted}</code></pre>\n`;
+      }
+    }
+  });
+  
+  const html = sanitizeHtml(markdownRenderer.parse(markdown), markdownSanitizeOptions);
+  return { html, toc };
+}
 
-// Serve uploaded files
-app.use('/uploads', express.static(uploadDir));
+// Rendered article bodies, invalidated whenever the article is updated
+const renderedArticles = new Map();
 
-app.use(trackAnalytics);
+function renderArticleContent(article) {
+  const cached = renderedArticles.get(article.id);
+  if (cached && cached.updatedAt === article.updatedAt) {
+    return cached;
+  }
+  
+  const rendered = { ...renderMarkdown(article.content), updatedAt: article.updatedAt };
+  renderedArticles.set(article.id, rendered);
+  return rendered;
+}
 
-// Apply rate limiting to API routes
-app.use('/api/', limiter);
-app.use('/api/auth/', authLimiter);
+// =====================================================
+// ROLES AND PERMISSIONS
+// =====================================================
+
+// Each role lists the named permissions it grants; admins get every permission
+const PERMISSIONS = [
+  'articles:manage',
+  'comments:moderate',
+  'messages:manage',
+  'projects:manage',
+  'analytics:view',
+  'users:manage',
+  'chats:view'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  editor: ['articles:manage'],
+  moderator: ['comments:moderate', 'messages:manage'],
+  admin: PERMISSIONS
+};
+
+const getPermissions = role => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+// The user summary returned by every auth endpoint
+function toAuthUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    permissions: getPermissions(user.role),
+    profilePicture: user.profilePicture,
+    emailVerified: user.emailVerified !== false
+  };
+}
 
 // =====================================================
-// API ROUTES
+// SESSION MANAGEMENT
 // =====================================================
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    memory: process.memoryUsage(),
-    uptime: process.uptime(),
-    stats: {
-      users: users.size,
-      projects: projects.size,
-      articles: articles.size,
-      messages: messages.size,
-      chatSessions: chatSessions.size,
-      analytics: analytics.length
-    }
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE = 'refreshToken';
+// Tabs that refresh at the same moment may still send the token that was just
+// rotated out; within this window that is not treated as theft
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function describeUserAgent(userAgent = '') {
+  const browser = (userAgent.match(/(Edg|OPR|Firefox|Chrome|Safari)\/[\d.]+/) || [])[1];
+  const os = (userAgent.match(/(Windows|Android|iPhone|iPad|Mac OS X|Linux)/) || [])[1];
+  const browserNames = { Edg: 'Edge', OPR: 'Opera' };
+  
+  if (!browser && !os) return 'Unknown device';
+  return [browserNames[browser] || browser, os && `on ${os.replace('Mac OS X', 'macOS')}`]
+    .filter(Boolean)
+    .join(' ');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function setRefreshCookie(res, refreshToken, expiresAt) {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    expires: expiresAt
   });
-});
+}
 
-// Auth Routes
-app.post('/api/auth/register', [
-  body('username').isLength({ min: 3 }).trim().escape(),
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 })
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+}
+
+// Starts a new device session and returns its first access token
+function startSession(req, res, user) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = {
+    id: uuidv4(),
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    previousTokenHash: null,
+    rotatedAt: null,
+    userAgent: req.headers['user-agent'] || 'unknown',
+    ip: req.ip || req.socket.remoteAddress || '0.0.0.0',
+    createdAt: new Date(),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null
+  };
   
+  sessions.set(session.id, session);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  
+  return signAccessToken(user, session.id);
+}
+
+function revokeSession(session) {
+  session.revokedAt = new Date();
+  sessions.set(session.id, session);
+}
+
+const isSessionActive = session =>
+  Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+
+// Sessions double as the revocation list: an access token is only honoured
+// while the session it was issued for is still active. The role is read from
+// the user record so promotions and suspensions apply immediately.
+function verifyAccessToken(token) {
   try {
-    const { username, email, password } = req.body;
-    
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    const user = users.get(payload.id);
+    if (!isSessionActive(sessions.get(payload.sid)) || !user || user.suspended) {
+      return null;
+    }
+    return { ...payload, username: user.username, role: user.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+function revokeUserSessions(userId) {
+  for (const session of sessions.values()) {
+    if (session.userId === userId && isSessionActive(session)) {
+      revokeSession(session);
+    }
+  }
+}
+
+// Drop sessions that can no longer be refreshed
+setInterval(() => {
+  const now = new Date();
+  for (const session of Array.from(sessions.values())) {
+    if (session.expiresAt < now || (session.revokedAt && now - session.revokedAt > REFRESH_TOKEN_TTL_MS)) {
+      sessions.delete(session.id);
+    }
+  }
+}, 60 * 60 * 1000).unref();
+
+// =====================================================
+// ACCOUNT TOKENS
+// =====================================================
+
+const AUTH_TOKEN_TTL_MS = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000
+};
+
+// Issues a single-use token, invalidating any unused one of the same type
+function createAuthToken(userId, type) {
+  for (const existing of Array.from(authTokens.values())) {
+    if (existing.userId === userId && existing.type === type && !existing.usedAt) {
+      authTokens.delete(existing.id);
+    }
+  }
+  
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = {
+    id: uuidv4(),
+    tokenHash: hashToken(token),
+    userId,
+    type,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_MS[type]),
+    usedAt: null
+  };
+  
+  authTokens.set(record.id, record);
+  return token;
+}
+
+// Returns the token record if it is valid, marking it used
+function consumeAuthToken(token, type) {
+  const record = authTokens.get(authTokensByHash.get(hashToken(String(token || ''))));
+  
+  if (!record || record.type !== type || record.usedAt || record.expiresAt < new Date()) {
+    return null;
+  }
+  
+  record.usedAt = new Date();
+  authTokens.set(record.id, record);
+  return record;
+}
+
+function sendVerificationEmail(user) {
+  const link = `${APP_URL}/verify-email?token=${createAuthToken(user.id, 'verify-email')}`;
+  queueEmail('verify-email', user.email, { username: user.username, link });
+}
+
+function sendPasswordResetEmail(user) {
+  const link = `${APP_URL}/reset-password?token=${createAuthToken(user.id, 'reset-password')}`;
+  queueEmail('reset-password', user.email, { username: user.username, link });
+}
+
+// Clean up expired and used tokens
+setInterval(() => {
+  const now = new Date();
+  for (const record of Array.from(authTokens.values())) {
+    if (record.usedAt || record.expiresAt < now) {
+      authTokens.delete(record.id);
+    }
+  }
+}, 60 * 60 * 1000).unref();
+
+// =====================================================
+// COMMENTS
+// =====================================================
+
+// Comments live flat on article.comments; parentId links replies into threads
+const COMMENT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_COMMENT_DEPTH = 3;
+const SPAM_KEYWORDS = ['viagra', 'casino', 'crypto giveaway', 'free money', 'work from home', 'click here', 'buy followers'];
+
+// Comments posted before moderation existed have no status and count as approved
+const getCommentStatus = comment => comment.status || 'approved';
+
+function getCommentAuthor(userId) {
+  const user = users.get(userId);
+  return user ? {
+    id: user.id,
+    username: user.username,
+    profilePicture: user.profilePicture
+  } : null;
+}
+
+function getCommentDepth(article, comment) {
+  let depth = 0;
+  let current = comment;
+  while (current?.parentId) {
+    depth += 1;
+    current = article.comments.find(c => c.id === current.parentId);
+  }
+  return depth;
+}
+
+function isWithinEditWindow(comment) {
+  return Date.now() - new Date(comment.createdAt).getTime() <= COMMENT_EDIT_WINDOW_MS;
+}
+
+// Returns the reasons a comment looks like spam; any reason holds it for moderation
+function detectSpam(content, user) {
+  const reasons = [];
+  const text = content.toLowerCase();
+  const links = content.match(/https?:\/\/|www\./gi) || [];
+  const letters = content.replace(/[^a-z]/gi, '');
+  
+  if (links.length > 2) {
+    reasons.push('too many links');
+  }
+  if (links.length > 0 && Date.now() - new Date(user.createdAt).getTime() < 24 * 60 * 60 * 1000) {
+    reasons.push('link from a new account');
+  }
+  if (SPAM_KEYWORDS.some(keyword => text.includes(keyword))) {
+    reasons.push('spam keywords');
+  }
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    reasons.push('mostly uppercase');
+  }
+  if (/(.)\1{9,}/.test(content)) {
+    reasons.push('repeated characters');
+  }
+  
+  const recent = [];
+  for (const article of articles.values()) {
+    for (const comment of article.comments) {
+      if (comment.user === user.id && Date.now() - new Date(comment.createdAt).getTime() < 10 * 60 * 1000) {
+        recent.push(comment);
+      }
+    }
+  }
+  if (recent.some(comment => comment.content === content)) {
+    reasons.push('duplicate comment');
+  }
+  if (recent.length >= 5) {
+    reasons.push('posting too fast');
+  }
+  
+  return reasons;
+}
+
+function serializeComment(comment, viewer) {
+  const isOwner = viewer?.id === comment.user;
+  const canModerate = hasPermission(viewer?.role, 'comments:moderate');
+  return {
+    id: comment.id,
+    parentId: comment.parentId || null,
+    content: comment.deleted ? '' : comment.content,
+    status: getCommentStatus(comment),
+    deleted: Boolean(comment.deleted),
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt || null,
+    author: comment.deleted ? null : getCommentAuthor(comment.user),
+    ...(isOwner && !comment.deleted ? {
+      editableUntil: new Date(new Date(comment.createdAt).getTime() + COMMENT_EDIT_WINDOW_MS)
+    } : {}),
+    ...(canModerate ? { spamReasons: comment.spamReasons || [] } : {})
+  };
+}
+
+// Builds the reply tree a viewer may see: approved comments plus their own
+// pending ones. Hidden or deleted comments that still have visible replies are
+// kept as empty placeholders so the thread stays intact.
+function buildCommentTree(article, viewer) {
+  const children = new Map();
+  for (const comment of article.comments) {
+    const key = comment.parentId || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(comment);
+  }
+  
+  const build = (parentId) => (children.get(parentId) || [])
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(comment => {
+      const replies = build(comment.id);
+      const status = getCommentStatus(comment);
+      const visible = !comment.deleted && (status === 'approved' ||
+        (status === 'pending' && viewer?.id === comment.user));
+      if (!visible && replies.length === 0) return null;
+      
+      const node = serializeComment(visible ? comment : { ...comment, deleted: true }, viewer);
+      return { ...node, replies };
+    })
+    .filter(Boolean);
+  
+  return build(null);
+}
+
+function countApprovedComments(article) {
+  return article.comments.filter(c => getCommentStatus(c) === 'approved' && !c.deleted).length;
+}
+
+// =====================================================
+// LIKES
+// =====================================================
+
+const likeKey = (targetType, targetId, userId) => `${targetType}:${targetId}:${userId}`;
+
+function isLikedBy(targetType, targetId, user) {
+  return Boolean(user) && likesByKey.has(likeKey(targetType, targetId, user.id));
+}
+
+// Likes and unlikes are idempotent; the item's likes counter only moves when
+// the user's like record is actually created or removed
+function setLiked(collection, targetType, item, userId, liked) {
+  const key = likeKey(targetType, item.id, userId);
+  const existingId = likesByKey.get(key);
+  
+  if (liked && !existingId) {
+    const like = { id: uuidv4(), key, targetType, targetId: item.id, userId, createdAt: new Date() };
+    likes.set(like.id, like);
+    item.likes = (item.likes || 0) + 1;
+    collection.set(item.id, item);
+  } else if (!liked && existingId) {
+    likes.delete(existingId);
+    item.likes = Math.max((item.likes || 0) - 1, 0);
+    collection.set(item.id, item);
+  }
+  
+  return { likes: item.likes || 0, likedByMe: liked };
+}
+
+// Drops the likes of a deleted project or article
+function deleteLikesFor(targetId) {
+  for (const like of Array.from(likes.values())) {
+    if (like.targetId === targetId) likes.delete(like.id);
+  }
+}
+
+// Withdraws every like of a deleted user, keeping the counters in step
+function withdrawUserLikes(userId) {
+  const targets = { project: projects, article: articles };
+  for (const like of Array.from(likes.values())) {
+    if (like.userId !== userId) continue;
+    const item = targets[like.targetType].get(like.targetId);
+    if (item) {
+      setLiked(targets[like.targetType], like.targetType, item, userId, false);
+    } else {
+      likes.delete(like.id);
+    }
+  }
+}
+
+// =====================================================
+// VIEW COUNTING
+// =====================================================
+
+const VIEW_DEDUP_WINDOW_MS = 30 * 60 * 1000;
+const VIEW_HISTORY_DAYS = 365;
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|headless|lighthouse|curl|wget|python-requests|httpclient|go-http-client|axios|node-fetch/i;
+
+// Last counted view per visitor and item; a restart only means one extra view
+const recentViews = new Map();
+
+const isBot = (req) => BOT_USER_AGENT.test(req.headers['user-agent'] || '');
+
+const dayKey = (date = new Date()) => date.toISOString().split('T')[0];
+
+function getVisitorId(req) {
+  if (req.user) return `user:${req.user.id}`;
+  return `anon:${hashToken(`${req.ip}|${req.headers['user-agent'] || ''}`)}`;
+}
+
+// Counts a view unless it comes from a bot, from someone who manages the
+// content (previews and edits), or from a visitor already counted recently
+function recordView(req, collection, targetType, item, managePermission) {
+  if (isBot(req) || hasPermission(req.user?.role, managePermission)) {
+    return false;
+  }
+  
+  const key = `${targetType}:${item.id}:${getVisitorId(req)}`;
+  const lastSeen = recentViews.get(key);
+  if (lastSeen && Date.now() - lastSeen < VIEW_DEDUP_WINDOW_MS) {
+    return false;
+  }
+  recentViews.set(key, Date.now());
+  
+  item.views = (item.views || 0) + 1;
+  collection.set(item.id, item);
+  
+  const historyId = `${targetType}:${item.id}`;
+  const history = viewHistory.get(historyId) || { id: historyId, targetType, targetId: item.id, days: {} };
+  const today = dayKey();
+  history.days[today] = (history.days[today] || 0) + 1;
+  
+  const oldestDay = dayKey(new Date(Date.now() - VIEW_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+  for (const day of Object.keys(history.days)) {
+    if (day < oldestDay) delete history.days[day];
+  }
+  viewHistory.set(historyId, history);
+  return true;
+}
+
+// Daily counts for the last `days` days, oldest first, with empty days as 0
+function getViewSeries(targetType, targetId, days) {
+  const history = viewHistory.get(`${targetType}:${targetId}`);
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = dayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+    series.push({ date, count: history?.days[date] || 0 });
+  }
+  return series;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - VIEW_DEDUP_WINDOW_MS;
+  for (const [key, lastSeen] of recentViews) {
+    if (lastSeen < cutoff) recentViews.delete(key);
+  }
+}, 10 * 60 * 1000).unref();
+
+// =====================================================
+// CONTACT FORM PROTECTION
+// =====================================================
+
+// Challenges are stateless HMAC-signed tokens; the issue time doubles as the
+// moment the form was shown, which gives the minimum fill time check
+const CONTACT_POW_DIFFICULTY = parseInt(process.env.CONTACT_POW_DIFFICULTY) || 16;
+const CONTACT_MIN_FILL_MS = 3 * 1000;
+const CONTACT_CHALLENGE_TTL_MS = 60 * 60 * 1000;
+const CONTACT_EMAIL_LIMITS = [
+  { windowMs: 10 * 60 * 1000, max: 1 },
+  { windowMs: 24 * 60 * 60 * 1000, max: 5 }
+];
+const CONTACT_BLOCKLIST = [
+  ...SPAM_KEYWORDS,
+  ...(process.env.CONTACT_BLOCKLIST || '').split(',').map(term => term.trim().toLowerCase()).filter(Boolean)
+];
+
+const signChallenge = (payload) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(payload).digest('hex');
+
+function issueContactChallenge() {
+  const payload = `${crypto.randomBytes(16).toString('hex')}.${Date.now()}.${CONTACT_POW_DIFFICULTY}`;
+  return { token: `${payload}.${signChallenge(payload)}`, difficulty: CONTACT_POW_DIFFICULTY };
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+// Returns the rejection reason, or null when the challenge was solved in time
+function verifyContactChallenge(token, nonce) {
+  const [challenge, issuedAt, difficulty, signature] = String(token || '').split('.');
+  const expected = Buffer.from(signChallenge(`${challenge}.${issuedAt}.${difficulty}`));
+  const received = Buffer.from(signature || '');
+  
+  if (!signature || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return 'invalid challenge';
+  }
+  
+  const age = Date.now() - parseInt(issuedAt);
+  if (age > CONTACT_CHALLENGE_TTL_MS) {
+    return 'expired challenge';
+  }
+  if (age < CONTACT_MIN_FILL_MS) {
+    return 'submitted too fast';
+  }
+  if (usedChallenges.has(challenge)) {
+    return 'reused challenge';
+  }
+  
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (countLeadingZeroBits(hash) < parseInt(difficulty)) {
+    return 'invalid proof of work';
+  }
+  
+  usedChallenges.set(challenge, { challenge, expiresAt: new Date(parseInt(issuedAt) + CONTACT_CHALLENGE_TTL_MS) });
+  return null;
+}
+
+// Returns how many ms the sender has to wait, or 0 if they may send again
+function getContactRetryAfter(email) {
+  const now = Date.now();
+  const sent = Array.from(messages.values())
+    .filter(m => m.email === email)
+    .map(m => m.createdAt.getTime());
+  
+  for (const { windowMs, max } of CONTACT_EMAIL_LIMITS) {
+    const inWindow = sent.filter(time => now - time < windowMs).sort((a, b) => a - b);
+    if (inWindow.length >= max) {
+      return inWindow[inWindow.length - max] + windowMs - now;
+    }
+  }
+  return 0;
+}
+
+const findBlockedTerm = (...fields) => {
+  const text = fields.join(' ').toLowerCase();
+  return CONTACT_BLOCKLIST.find(term => text.includes(term));
+};
+
+function recordContactRejection(req, reason, email) {
+  const entry = {
+    id: uuidv4(),
+    reason,
+    email: email || null,
+    ip: req.ip || req.socket.remoteAddress || '0.0.0.0',
+    userAgent: req.headers['user-agent'] || 'unknown',
+    createdAt: new Date()
+  };
+  contactRejections.set(entry.id, entry);
+  logger.warn(`Contact form submission rejected (${reason}) from ${entry.ip}`);
+}
+
+setInterval(() => {
+  const now = new Date();
+  for (const { challenge, expiresAt } of Array.from(usedChallenges.values())) {
+    if (expiresAt < now) usedChallenges.delete(challenge);
+  }
+}, 10 * 60 * 1000).unref();
+
+// =====================================================
+// AI PROVIDERS
+// =====================================================
+
+// Every provider takes a list of { role, content } messages. complete()
+// resolves to the whole reply; stream(), when present, yields it in pieces.
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 10000;
+
+// Splits a streamed HTTP body into lines, keeping partial lines for the next chunk
+async function* readLines(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines.filter(line => line.trim());
+  }
+  if (buffer.trim()) yield buffer;
+}
+
+// Images are { url, path, mimeType }: a public URL and the uploaded file on disk
+const readImageBase64 = (image) => fs.promises.readFile(image.path, 'base64');
+
+// Anabot only accepts a single prompt in the query string, so earlier turns are
+// written out as a transcript. The URL has to stay within server limits: the
+// latest turns get half of the budget and the persona and facts the rest.
+const ANABOT_PROMPT_MAX_CHARS = parseInt(process.env.ANABOT_PROMPT_MAX_CHARS) || 3000;
+
+function toPrompt(chatMessages) {
+  if (chatMessages.length === 1) {
+    return truncate(chatMessages[0].content, ANABOT_PROMPT_MAX_CHARS);
+  }
+  
+  const [system, ...turns] = chatMessages[0].role === 'system' ? chatMessages : [null, ...chatMessages];
+  const transcript = turns.map(m => `${m.role}: ${m.content}`).join('\n');
+  const half = Math.floor(ANABOT_PROMPT_MAX_CHARS / 2);
+  const recent = transcript.length > half ? `…${transcript.slice(-(half - 1))}` : transcript;
+  
+  if (!system) return recent;
+  return `${truncate(`system: ${system.content}`, ANABOT_PROMPT_MAX_CHARS - recent.length - 1)}\n${recent}`;
+}
+
+function createAnabotProvider() {
+  return {
+    name: 'anabot',
+    async complete(chatMessages, { signal, timeout = AI_TIMEOUT_MS } = {}) {
+      if (!process.env.ANABOT_API_URL) {
+        throw new Error('ANABOT_API_URL is not set');
+      }
+      
+      // Only one image per request, and it has to be reachable from the internet
+      const image = chatMessages[chatMessages.length - 1]?.images?.[0];
+      const response = await axios.get(process.env.ANABOT_API_URL, {
+        params: {
+          prompt: toPrompt(chatMessages),
+          search_enabled: false,
+          thinking_enabled: false,
+          imageUrl: image?.url || '',
+          apikey: process.env.API_KEY
+        },
+        timeout,
+        signal
+      });
+      
+      return response.data?.result?.message || response.data?.response || null;
+    }
+  };
+}
+
+// Any endpoint speaking the OpenAI chat completions API (OpenAI, Groq, OpenRouter, LM Studio...)
+function createOpenAIProvider() {
+  const baseUrl = (process.env.AI_API_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = process.env.AI_MODEL || 'gpt-4o-mini';
+  const headers = process.env.AI_API_KEY ? { 'Authorization': `Bearer ${process.env.AI_API_KEY}` } : {};
+  
+  // Images are inlined as data URLs so they work even when the site is not public
+  const toOpenAIMessages = (chatMessages) => Promise.all(chatMessages.map(async m => m.images?.length
+    ? {
+      role: m.role,
+      content: [
+        { type: 'text', text: m.content },
+        ...await Promise.all(m.images.map(async image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${await readImageBase64(image)}` }
+        })))
+      ]
+    }
+    : { role: m.role, content: m.content }));
+  
+  return {
+    name: 'openai',
+    async complete(chatMessages, { signal, timeout = AI_TIMEOUT_MS } = {}) {
+      const response = await axios.post(`${baseUrl}/chat/completions`, {
+        model,
+        messages: await toOpenAIMessages(chatMessages)
+      }, { headers, timeout, signal });
+      
+      return response.data?.choices?.[0]?.message?.content || null;
+    },
+    async *stream(chatMessages, { signal, timeout = AI_TIMEOUT_MS } = {}) {
+      const response = await axios.post(`${baseUrl}/chat/completions`, {
+        model,
+        messages: await toOpenAIMessages(chatMessages),
+        stream: true
+      }, { headers, timeout, signal, responseType: 'stream' });
+      
+      for await (const line of readLines(response.data)) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+// A local Ollama server (or anything implementing its /api/chat endpoint)
+function createOllamaProvider() {
+  const baseUrl = (process.env.AI_API_URL || 'http://localhost:11434').replace(/\/$/, '');
+  const model = process.env.AI_MODEL || 'llama3.2';
+  
+  // Ollama takes raw base64 images next to the text of a message
+  const toOllamaMessages = (chatMessages) => Promise.all(chatMessages.map(async m => ({
+    role: m.role,
+    content: m.content,
+    ...(m.images?.length ? { images: await Promise.all(m.images.map(readImageBase64)) } : {})
+  })));
+  
+  return {
+    name: 'ollama',
+    async complete(chatMessages, { signal, timeout = AI_TIMEOUT_MS } = {}) {
+      const response = await axios.post(`${baseUrl}/api/chat`, {
+        model,
+        messages: await toOllamaMessages(chatMessages),
+        stream: false
+      }, { timeout, signal });
+      
+      return response.data?.message?.content || null;
+    },
+    async *stream(chatMessages, { signal, timeout = AI_TIMEOUT_MS } = {}) {
+      const response = await axios.post(`${baseUrl}/api/chat`, {
+        model,
+        messages: await toOllamaMessages(chatMessages),
+        stream: true
+      }, { timeout, signal, responseType: 'stream' });
+      
+      for await (const line of readLines(response.data)) {
+        const chunk = JSON.parse(line);
+        if (chunk.message?.content) yield chunk.message.content;
+        if (chunk.done) return;
+      }
+    }
+  };
+}
+
+// Answers without any network access, always the same way for the same input
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async complete(chatMessages) {
+      const last = chatMessages[chatMessages.length - 1];
+      const images = last?.images?.length ? ` (${last.images.length} gambar)` : '';
+      return `[mock] Anda berkata: ${last?.content || ''}${images}`;
+    }
+  };
+}
+
+const AI_PROVIDERS = {
+  anabot: createAnabotProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider
+};
+
+function createAIProvider() {
+  // Mock replies are only used when asked for; without any configuration the
+  // chat keeps answering with the canned fallback replies
+  const name = process.env.AI_PROVIDER || 'anabot';
+  const factory = AI_PROVIDERS[name];
+  
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected one of: ${Object.keys(AI_PROVIDERS).join(', ')})`);
+  }
+  if (name === 'mock') {
+    logger.warn('⚠️ AI_PROVIDER=mock, chat replies are canned');
+  } else if (name === 'anabot' && !process.env.ANABOT_API_URL) {
+    logger.warn('⚠️ ANABOT_API_URL is not set, chat will answer with fallback replies');
+  } else {
+    logger.info(`🤖 AI chat provider: ${name}`);
+  }
+  return factory();
+}
+
+const aiProvider = createAIProvider();
+
+// =====================================================
+// AI CHAT
+// =====================================================
+
+const CHAT_FALLBACK_RESPONSES = [
+  "Menarik! Ceritakan lebih lanjut tentang itu.",
+  "Saya mengerti. Ada yang bisa saya bantu lagi?",
+  "Terima kasih telah bertanya. Silakan jelaskan lebih detail.",
+  "Maaf, saya sedang mengalami gangguan koneksi. Coba lagi nanti ya.",
+  "Saya ingin tahu lebih banyak. Bisa beri contoh?"
+];
+
+// Delay between streamed chunks when the upstream only returns whole replies
+const CHAT_STREAM_CHUNK_DELAY_MS = 25;
+
+const pickFallbackResponse = () =>
+  CHAT_FALLBACK_RESPONSES[Math.floor(Math.random() * CHAT_FALLBACK_RESPONSES.length)];
+
+// Conversations belong to the logged-in user or, for anonymous visitors, to a
+// random id in a signed cookie. Session ids are always issued by the server.
+const CHAT_VISITOR_COOKIE = 'chat_visitor';
+const CHAT_VISITOR_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const CHAT_SESSION_IDLE_TTL_MS = (parseInt(process.env.CHAT_SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Uploaded images that never get sent are removed after this long
+const CHAT_UPLOAD_TTL_MS = 60 * 60 * 1000;
+
+// Returns the visitor id from the signed cookie, issuing one when create is set
+function getChatVisitorId(req, res, { create = false } = {}) {
+  const visitorId = req.signedCookies?.[CHAT_VISITOR_COOKIE];
+  if (visitorId || !create) return visitorId || null;
+  
+  const newVisitorId = crypto.randomBytes(16).toString('hex');
+  res.cookie(CHAT_VISITOR_COOKIE, newVisitorId, {
+    httpOnly: true,
+    signed: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/chat',
+    maxAge: CHAT_VISITOR_COOKIE_MAX_AGE_MS
+  });
+  return newVisitorId;
+}
+
+// Works for chat sessions and chat uploads, which record their owner the same way
+function ownsChatSession(chatSession, req) {
+  if (chatSession.userId) {
+    return chatSession.userId === req.user?.id;
+  }
+  const visitorId = req.signedCookies?.[CHAT_VISITOR_COOKIE];
+  return Boolean(visitorId) && chatSession.visitorId === visitorId;
+}
+
+// Conversations started anonymously move to the account once the visitor logs in
+function claimChatSession(chatSession, req) {
+  if (req.user && !chatSession.userId) {
+    chatSession.userId = req.user.id;
+    chatSessions.set(chatSession.sessionId, chatSession);
+  }
+  return chatSession;
+}
+
+// Looks up a session the requester may read, or null. Unknown and foreign ids
+// look the same so ids cannot be probed.
+function findOwnChatSession(req, sessionId) {
+  const chatSession = sessionId && chatSessions.get(sessionId);
+  if (!chatSession || !ownsChatSession(chatSession, req)) return null;
+  return claimChatSession(chatSession, req);
+}
+
+// Visitor messages and titles used to be stored HTML-escaped; they are now kept
+// as typed, so older conversations are unescaped once and marked as converted
+for (const chatSession of Array.from(chatSessions.values())) {
+  if (chatSession.rawText) continue;
+  chatSessions.set(chatSession.sessionId, {
+    ...chatSession,
+    title: chatSession.title && unescapeText(chatSession.title),
+    messages: chatSession.messages.map(m =>
+      m.role === 'user' && typeof m.content === 'string' ? { ...m, content: unescapeText(m.content) } : m),
+    rawText: true
+  });
+}
+
+// Continues the requested conversation when the requester owns it, otherwise starts a new one
+function resolveChatSession(req, res, sessionId) {
+  const existing = findOwnChatSession(req, sessionId);
+  if (existing) return existing;
+  
+  const chatSession = {
+    sessionId: crypto.randomBytes(24).toString('base64url'),
+    userId: req.user?.id || null,
+    visitorId: req.user ? null : getChatVisitorId(req, res, { create: true }),
+    messages: [],
+    rawText: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  chatSessions.set(chatSession.sessionId, chatSession);
+  return chatSession;
+}
+
+function listOwnChatSessions(req) {
+  return Array.from(chatSessions.values())
+    .filter(chatSession => ownsChatSession(chatSession, req))
+    .map(chatSession => claimChatSession(chatSession, req));
+}
+
+// Untitled conversations are named after their first question
+const summarizeChatSession = (chatSession) => {
+  const firstQuestion = chatSession.messages.find(m => m.role === 'user');
+  const title = chatSession.title || (firstQuestion && truncate(firstQuestion.content, 60));
+  return {
+    sessionId: chatSession.sessionId,
+    title: title || 'Percakapan baru',
+    messageCount: chatSession.messages.length,
+    createdAt: chatSession.createdAt,
+    updatedAt: chatSession.updatedAt
+  };
+};
+
+function removeChatUpload(upload) {
+  chatUploads.delete(upload.filename);
+  fs.promises.unlink(path.join(uploadDir, upload.filename)).catch(error => {
+    if (error.code !== 'ENOENT') logger.error('Remove chat upload error:', error);
+  });
+}
+
+// Deletes a conversation together with the images sent in it
+function deleteChatSession(chatSession) {
+  for (const upload of Array.from(chatUploads.values())) {
+    if (upload.sessionId === chatSession.sessionId) removeChatUpload(upload);
+  }
+  chatSessions.delete(chatSession.sessionId);
+}
+
+// Removes an account's conversations and chat images when the account is deleted
+function deleteUserChats(userId) {
+  for (const chatSession of Array.from(chatSessions.values())) {
+    if (chatSession.userId === userId) deleteChatSession(chatSession);
+  }
+  for (const upload of Array.from(chatUploads.values())) {
+    if (upload.userId === userId) removeChatUpload(upload);
+  }
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - CHAT_SESSION_IDLE_TTL_MS;
+  let expired = 0;
+  for (const chatSession of Array.from(chatSessions.values())) {
+    if (new Date(chatSession.updatedAt).getTime() < cutoff) {
+      deleteChatSession(chatSession);
+      expired++;
+    }
+  }
+  if (expired) logger.info(`🧹 Removed ${expired} idle chat sessions`);
+}, 60 * 60 * 1000).unref();
+
+setInterval(() => {
+  const cutoff = Date.now() - CHAT_UPLOAD_TTL_MS;
+  let removed = 0;
+  for (const upload of Array.from(chatUploads.values())) {
+    if (!upload.sessionId && new Date(upload.createdAt).getTime() < cutoff) {
+      removeChatUpload(upload);
+      removed++;
+    }
+  }
+  if (removed) logger.info(`🧹 Removed ${removed} unused chat uploads`);
+}, 10 * 60 * 1000).unref();
+
+function appendChatMessage(chatSession, message) {
+  chatSession.messages.push({ ...message, timestamp: new Date() });
+  chatSession.updatedAt = new Date();
+  chatSessions.set(chatSession.sessionId, chatSession);
+  
+  // Sent images now live as long as the conversation
+  for (const attachment of message.attachments || []) {
+    const upload = chatUploads.get(path.basename(attachment.url));
+    if (upload && !upload.sessionId) {
+      chatUploads.set(upload.filename, { ...upload, sessionId: chatSession.sessionId });
+    }
+  }
+}
+
+// The persona can be replaced entirely with AI_SYSTEM_PROMPT; portfolio facts
+// are appended either way so answers stay grounded in what is on the site
+const CHAT_SYSTEM_PROMPT = process.env.AI_SYSTEM_PROMPT || `Kamu adalah asisten AI di website portfolio Muhammad Teguh Marwin, seorang Full-Stack Developer dan AI enthusiast.
+Jawab dengan ramah, singkat dan jelas, dalam bahasa yang dipakai pengunjung (Indonesia atau Inggris).
+Untuk pertanyaan tentang Teguh, proyeknya, artikelnya atau keahliannya, gunakan hanya fakta di bawah ini. Jika jawabannya tidak ada di sana, katakan terus terang dan sarankan pengunjung menghubungi Teguh lewat form kontak.
+Jangan mengarang proyek, pengalaman kerja, harga atau data pribadi.`;
+
+// Recent messages are sent verbatim; anything older is reduced to a short
+// summary of what the visitor asked so long conversations stay within budget
+const CHAT_HISTORY_WINDOW = parseInt(process.env.CHAT_HISTORY_WINDOW) || 10;
+const CHAT_SUMMARY_MAX_CHARS = 600;
+const CHAT_FACTS_LIMIT = 20;
+
+const truncate = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+function buildPortfolioFacts() {
+  const owner = Array.from(users.values()).find(u => u.role === 'admin');
+  const projectList = Array.from(projects.values())
+    .sort((a, b) => (b.featured ? 1 : 0) - (a.featured ? 1 : 0) || new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, CHAT_FACTS_LIMIT);
+  const articleList = Array.from(articles.values())
+    .filter(isArticleLive)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, CHAT_FACTS_LIMIT);
+  const skills = [...new Set([
+    ...projectList.flatMap(p => p.technologies || []),
+    ...articleList.flatMap(a => a.tags || [])
+  ])].sort();
+  
+  const lines = ['FAKTA PORTFOLIO'];
+  if (owner?.bio) {
+    lines.push(`Tentang Teguh: ${owner.bio}`);
+  }
+  if (owner?.socialLinks) {
+    const links = Object.entries(owner.socialLinks).filter(([, url]) => url);
+    if (links.length) lines.push(`Kontak & sosial media: ${links.map(([name, url]) => `${name} ${url}`).join(', ')}`);
+  }
+  if (skills.length) {
+    lines.push(`Keahlian & teknologi: ${skills.join(', ')}`);
+  }
+  
+  lines.push('', 'Proyek:');
+  for (const p of projectList) {
+    const links = [p.liveUrl && `demo ${p.liveUrl}`, p.githubUrl && `kode ${p.githubUrl}`].filter(Boolean);
+    lines.push(`- ${p.title} (${p.category}, ${new Date(p.createdAt).getFullYear()}): ${p.longDescription || p.description}` +
+      ` Teknologi: ${(p.technologies || []).join(', ') || '-'}.${links.length ? ` Link: ${links.join(', ')}.` : ''}`);
+  }
+  
+  lines.push('', 'Artikel:');
+  for (const a of articleList) {
+    lines.push(`- "${a.title}" (${(a.tags || []).join(', ')}): ${a.excerpt || ''} ${APP_URL}/blog/${a.slug}`);
+  }
+  
+  return unescapeText(lines.join('\n'));
+}
+
+function summarizeEarlierMessages(earlier) {
+  const questions = earlier
+    .filter(m => m.role === 'user' && m.content)
+    .map(m => `"${truncate(m.content, 100)}"`);
+  if (!questions.length) return null;
+  
+  return truncate(`Ringkasan percakapan sebelumnya: pengunjung sudah bertanya ${questions.join('; ')}.`, CHAT_SUMMARY_MAX_CHARS);
+}
+
+const CHAT_MAX_ATTACHMENTS = 4;
+const CHAT_IMAGE_PROMPT = 'Jelaskan gambar ini.';
+const IMAGE_MIME_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const toProviderImage = (attachment) => {
+  const filename = path.basename(attachment.url);
+  return {
+    url: `${APP_URL}/uploads/${filename}`,
+    path: path.join(uploadDir, filename),
+    mimeType: IMAGE_MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream'
+  };
+};
+
+// Checks attachment URLs from a request body against the requester's chat
+// uploads and returns them as stored attachments, or null if any of them is
+// unknown, someone else's, or already sent in another conversation
+function resolveChatAttachments(req, urls = []) {
+  const attachments = urls.map(url => ({ url }));
+  const usable = attachments.every(attachment => {
+    const upload = chatUploads.get(path.basename(attachment.url));
+    return upload && ownsChatSession(upload, req) &&
+      (!upload.sessionId || upload.sessionId === req.body.sessionId) &&
+      fs.existsSync(path.join(uploadDir, upload.filename));
+  });
+  return usable ? attachments : null;
+}
+
+// Turns stored history (ending with the visitor's latest message) into the
+// message list sent to the provider: persona + facts, summary, recent turns.
+// Only the latest message carries its images; older ones are just mentioned.
+function buildChatMessages(history) {
+  const recent = history.slice(-CHAT_HISTORY_WINDOW);
+  const summary = summarizeEarlierMessages(history.slice(0, -CHAT_HISTORY_WINDOW));
+  
+  const system = [CHAT_SYSTEM_PROMPT, buildPortfolioFacts(), summary].filter(Boolean).join('\n\n');
+  
+  return [
+    { role: 'system', content: system },
+    ...recent.map((m, index) => {
+      const attachments = m.attachments || [];
+      if (index === recent.length - 1 && attachments.length) {
+        return { role: m.role, content: m.content || CHAT_IMAGE_PROMPT, images: attachments.map(toProviderImage) };
+      }
+      const note = attachments.length ? `[melampirkan ${attachments.length} gambar]` : '';
+      return { role: m.role, content: [m.content, note].filter(Boolean).join(' ') };
+    })
+  ];
+}
+
+// Asks the configured provider for a reply, falling back to a canned answer on failure
+async function fetchChatReply(chatMessages, { signal } = {}) {
+  try {
+    const reply = await aiProvider.complete(chatMessages, { signal });
+    return reply || 'Maaf, layanan AI sedang bermasalah. Silakan coba lagi nanti.';
+  } catch (apiError) {
+    if (signal?.aborted) throw apiError;
+    logger.error(`AI provider (${aiProvider.name}) error:`, apiError.message);
+    return pickFallbackResponse();
+  }
+}
+
+// Yields the reply piece by piece. Providers that answer in one go have the
+// reply split into words to give the widget the same incremental rendering.
+async function* streamChatReply(chatMessages, { signal } = {}) {
+  let reply;
+  
+  if (aiProvider.stream) {
+    let streamed = false;
+    try {
+      for await (const text of aiProvider.stream(chatMessages, { signal })) {
+        streamed = true;
+        yield text;
+      }
+    } catch (apiError) {
+      if (signal?.aborted) return;
+      logger.error(`AI provider (${aiProvider.name}) stream error:`, apiError.message);
+    }
+    // Half a reply is better left as is than followed by an unrelated fallback
+    if (streamed) return;
+    reply = pickFallbackResponse();
+  } else {
+    reply = await fetchChatReply(chatMessages, { signal });
+  }
+  
+  const chunks = reply.match(/\S+\s*/g) || [reply];
+  
+  for (const chunk of chunks) {
+    if (signal?.aborted) return;
+    yield chunk;
+    await new Promise(resolve => setTimeout(resolve, CHAT_STREAM_CHUNK_DELAY_MS));
+  }
+}
+
+// Assistant replies are Markdown; clients get the sanitized HTML alongside the text
+const toChatMessageView = (message) => message.role === 'assistant'
+  ? { ...message, html: renderMarkdown(message.content).html }
+  : message;
+
+const sendServerEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// =====================================================
+// MIDDLEWARE
+// =====================================================
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: { message: 'Too many requests from this IP, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: 'Too many authentication attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  // Token refreshes and logouts happen on every visit, not just on sign-in
+  skip: (req) => ['/refresh', '/logout'].includes(req.path),
+});
+
+// Chat image uploads are open to anonymous visitors
+const chatUploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { message: 'Too many image uploads, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// CORS options
+const corsOptions = {
+  origin: process.env.NODE_ENV === 'production' 
+    ? ['https://yourdomain.com'] 
+    : ['http://localhost:3000', 'http://localhost:5500', 'http://127.0.0.1:3000'],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+
+// Middleware to verify JWT
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  
+  const user = verifyAccessToken(token);
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+  req.user = user;
+  next();
+};
+
+// Like authenticateToken, but anonymous requests pass through without req.user.
+// A token that is sent but no longer valid still gets a 401 so the client
+// refreshes it instead of silently being treated as a visitor.
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  
+  if (!token) {
+    return next();
+  }
+  
+  const user = verifyAccessToken(token);
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+  req.user = user;
+  next();
+};
+
+// Multipart forms send their fields as a JSON string in "data"; this moves
+// them onto req.body so the usual validators apply
+const parseJsonData = (req, res, next) => {
+  if (typeof req.body?.data !== 'string') return next();
+  
+  try {
+    const data = JSON.parse(req.body.data);
+    req.body = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    next();
+  } catch (error) {
+    res.status(400).json({ message: 'Invalid JSON in data field' });
+  }
+};
+
+// Permission middleware, e.g. requirePermission('projects:manage')
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ message: `Permission required: ${permission}` });
+  }
+  next();
+};
+
+// Accounts must confirm their email address before they can post publicly
+const requireVerifiedEmail = (req, res, next) => {
+  if (users.get(req.user?.id)?.emailVerified === false) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
+// Analytics middleware
+const trackAnalytics = (req, res, next) => {
+  if (req.path.startsWith('/api/') || req.path.includes('.') || isBot(req)) {
+    return next();
+  }
+  
+  try {
+    const entry = {
+      id: uuidv4(),
+      page: req.path,
+      ip: req.ip || req.socket.remoteAddress || '0.0.0.0',
+      userAgent: req.headers['user-agent'] || 'unknown',
+      referrer: req.headers['referer'] || 'direct',
+      timestamp: new Date()
+    };
+    
+    analytics.set(entry.id, entry);
+  } catch (error) {
+    logger.error('Analytics error:', error);
+  }
+  next();
+};
+
+// =====================================================
+// MIDDLEWARE USAGE
+// =====================================================
+
+app.use(helmet({
+  contentSecurityPolicy: false,
+  crossOriginEmbedderPolicy: false
+}));
+
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
+
+// Serve static files from public directory
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Serve uploaded files
+app.use('/uploads', express.static(uploadDir));
+
+app.use(trackAnalytics);
+
+// Apply rate limiting to API routes
+app.use('/api/', limiter);
+app.use('/api/auth/', authLimiter);
+
+// =====================================================
+// API ROUTES
+// =====================================================
+
+// Copies the listed fields that are present in a request body, so updates
+// cannot touch anything else on the record
+const pickFields = (source, fields) =>
+  Object.fromEntries(fields.filter(field => field in source).map(field => [field, source[field]]));
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    memory: process.memoryUsage(),
+    uptime: process.uptime(),
+    stats: {
+      users: users.size,
+      projects: projects.size,
+      articles: articles.size,
+      messages: messages.size,
+      chatSessions: chatSessions.size,
+      analytics: analytics.size
+    }
+  });
+});
+
+// Auth Routes
+app.post('/api/auth/register', [
+  body('username').isLength({ min: 3 }).trim().escape(),
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { username, email, password } = req.body;
+    
     if (usersByEmail.has(email) || usersByUsername.has(username)) {
       return res.status(400).json({ message: 'User already exists' });
     }
     
-    const userId = uuidv4();
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = uuidv4();
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    const user = {
+      id: userId,
+      username,
+      email,
+      password: hashedPassword,
+      role: 'user',
+      profilePicture: `https://ui-avatars.com/api/?name=${encodeURIComponent(username)}&background=random&color=fff&size=128`,
+      bio: '',
+      socialLinks: {
+        github: '',
+        linkedin: '',
+        twitter: '',
+        instagram: ''
+      },
+      emailVerified: false,
+      createdAt: new Date(),
+      lastLogin: null
+    };
+    
+    users.set(userId, user);
+    sendVerificationEmail(user);
+    
+    const token = startSession(req, res, user);
+    
+    res.status(201).json({
+      message: 'User created successfully. Please check your email to verify your account.',
+      token,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    logger.error('Registration error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { email, password } = req.body;
+    
+    const userId = usersByEmail.get(email);
+    if (!userId) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    const user = users.get(userId);
+    const validPassword = await bcrypt.compare(password, user.password);
+    
+    if (!validPassword) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    
+    if (user.suspended) {
+      return res.status(403).json({ message: 'This account has been suspended' });
+    }
+    
+    user.lastLogin = new Date();
+    users.set(userId, user);
+    
+    const token = startSession(req, res, user);
+    
+    res.json({
+      message: 'Login successful',
+      token,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) {
+      return res.status(401).json({ message: 'No active session' });
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    const session = sessions.get(sessionsByTokenHash.get(tokenHash));
+    
+    if (!session) {
+      const reused = sessions.get(sessionsByPreviousTokenHash.get(tokenHash));
+      
+      // A concurrent refresh from another tab: hand out an access token but
+      // leave the cookie the winning request already set alone
+      const reusedUser = reused && users.get(reused.userId);
+      if (isSessionActive(reused) && reusedUser && !reusedUser.suspended &&
+          Date.now() - reused.rotatedAt < REFRESH_REUSE_GRACE_MS) {
+        return res.json({
+          token: signAccessToken(reusedUser, reused.id),
+          user: toAuthUser(reusedUser)
+        });
+      }
+      
+      // Otherwise a rotated-out token being replayed means it was stolen: kill the session
+      if (reused && !reused.revokedAt) {
+        logger.warn(`Refresh token reuse detected, revoking session ${reused.id}`);
+        revokeSession(reused);
+      }
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Invalid session' });
+    }
+    
+    const user = users.get(session.userId);
+    if (!isSessionActive(session) || !user || user.suspended) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Session expired' });
+    }
+    
+    const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+    session.previousTokenHash = tokenHash;
+    session.tokenHash = hashToken(nextRefreshToken);
+    session.rotatedAt = new Date();
+    session.lastUsedAt = new Date();
+    session.ip = req.ip || req.socket.remoteAddress || session.ip;
+    sessions.set(session.id, session);
+    
+    setRefreshCookie(res, nextRefreshToken, session.expiresAt);
+    
+    res.json({
+      token: signAccessToken(user, session.id),
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/logout', optionalAuthenticate, (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    const session = req.user
+      ? sessions.get(req.user.sid)
+      : refreshToken && sessions.get(sessionsByTokenHash.get(hashToken(refreshToken)));
+    
+    if (session && !session.revokedAt) {
+      revokeSession(session);
+    }
+    
+    clearRefreshCookie(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Account Recovery Routes
+app.post('/api/auth/verify-email', [
+  body('token').isLength({ min: 1 })
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const record = consumeAuthToken(req.body.token, 'verify-email');
+    const user = record && users.get(record.userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+    
+    user.emailVerified = true;
+    users.set(user.id, user);
+    
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, (req, res) => {
+  try {
+    const user = users.get(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    
+    sendVerificationEmail(user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const user = users.get(usersByEmail.get(req.body.email));
+    if (user) {
+      sendPasswordResetEmail(user);
+    }
+    
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/auth/reset-password', [
+  body('token').isLength({ min: 1 }),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const record = consumeAuthToken(req.body.token, 'reset-password');
+    const user = record && users.get(record.userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    
+    user.password = await bcrypt.hash(req.body.password, 10);
+    // Receiving the reset email proves ownership of the address
+    user.emailVerified = true;
+    users.set(user.id, user);
+    
+    // Sign out every device that used the old password
+    revokeUserSessions(user.id);
+    
+    res.json({ message: 'Password updated. Please login with your new password.' });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Projects Routes
+app.get('/api/projects', optionalAuthenticate, (req, res) => {
+  try {
+    const { category, featured, technology, q, limit = 10, page = 1 } = req.query;
+    
+    let projectList = Array.from(projects.values());
+    
+    // Filter options are computed over every project so the UI can offer them all
+    const facets = {
+      categories: [...new Set(projectList.map(p => p.category).filter(Boolean))].sort(),
+      technologies: [...new Set(projectList.flatMap(p => p.technologies || []))].sort()
+    };
+    
+    if (category) {
+      projectList = projectList.filter(p => p.category === category);
+    }
+    if (featured === 'true') {
+      projectList = projectList.filter(p => p.featured);
+    }
+    if (technology) {
+      projectList = projectList.filter(p => (p.technologies || []).includes(technology));
+    }
+    if (typeof q === 'string' && q.trim()) {
+      const needle = q.trim().toLowerCase();
+      projectList = projectList.filter(p =>
+        [p.title, p.description, ...(p.technologies || [])]
+          .some(field => field && field.toLowerCase().includes(needle))
+      );
+    }
+    
+    projectList.sort((a, b) => {
+      if (a.featured && !b.featured) return -1;
+      if (!a.featured && b.featured) return 1;
+      return b.createdAt - a.createdAt;
+    });
+    
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedProjects = projectList
+      .slice(start, start + parseInt(limit))
+      .map(project => ({ ...project, likedByMe: isLikedBy('project', project.id, req.user) }));
+    
+    res.json({
+      projects: paginatedProjects,
+      total: projectList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(projectList.length / parseInt(limit)),
+      facets
+    });
+  } catch (error) {
+    logger.error('Get projects error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/projects/:id', optionalAuthenticate, (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    recordView(req, projects, 'project', project, 'projects:manage');
+    
+    res.json({ ...project, likedByMe: isLikedBy('project', project.id, req.user) });
+  } catch (error) {
+    logger.error('Get project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Fields editors may set; counters and timestamps are managed by the server
+const PROJECT_EDITABLE_FIELDS = [
+  'title', 'description', 'longDescription', 'category', 'technologies', 'liveUrl', 'githubUrl',
+  'featured', 'image', 'images'
+];
+
+app.post('/api/projects', authenticateToken, requirePermission('projects:manage'), upload.array('images', 5), (req, res) => {
+  try {
+    const projectData = JSON.parse(req.body.data);
+    const files = req.files || [];
+    
+    const imageUrls = files.map(file => `/uploads/${file.filename}`);
+    
+    const project = {
+      id: uuidv4(),
+      ...pickFields(projectData, PROJECT_EDITABLE_FIELDS),
+      image: imageUrls[0] || projectData.image || '',
+      images: imageUrls.length > 0 ? imageUrls : (projectData.images || []),
+      views: 0,
+      likes: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    projects.set(project.id, project);
+    
+    res.status(201).json(project);
+  } catch (error) {
+    logger.error('Create project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/projects/:id', authenticateToken, requirePermission('projects:manage'), upload.array('images', 5), (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    const updateData = req.body.data ? JSON.parse(req.body.data) : req.body;
+    const imageUrls = (req.files || []).map(file => `/uploads/${file.filename}`);
+    
+    const updatedProject = {
+      ...project,
+      ...pickFields(updateData, PROJECT_EDITABLE_FIELDS),
+      updatedAt: new Date()
+    };
+    
+    // Uploaded images are added to the gallery rather than replacing it
+    if (imageUrls.length > 0) {
+      updatedProject.images = [...(updatedProject.images || []), ...imageUrls];
+      updatedProject.image = updatedProject.image || imageUrls[0];
+    }
+    
+    projects.set(req.params.id, updatedProject);
+    
+    res.json(updatedProject);
+  } catch (error) {
+    logger.error('Update project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/projects/:id', authenticateToken, requirePermission('projects:manage'), (req, res) => {
+  try {
+    if (!projects.has(req.params.id)) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    projects.delete(req.params.id);
+    deleteLikesFor(req.params.id);
+    viewHistory.delete(`project:${req.params.id}`);
+    
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    logger.error('Delete project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/projects/:id/like', authenticateToken, (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    res.json(setLiked(projects, 'project', project, req.user.id, true));
+  } catch (error) {
+    logger.error('Like project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/projects/:id/like', authenticateToken, (req, res) => {
+  try {
+    const project = projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+    
+    res.json(setLiked(projects, 'project', project, req.user.id, false));
+  } catch (error) {
+    logger.error('Unlike project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Article helpers
+function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Appends a numeric suffix when another article already owns the slug, now or
+// as a former slug (those are permanently redirected and must stay unique)
+function uniqueSlug(title, articleId = null) {
+  const base = slugify(title) || 'article';
+  let slug = base;
+  let suffix = 2;
+  const isTaken = candidate => [articlesBySlug, articlesByPreviousSlug]
+    .some(index => index.has(candidate) && index.get(candidate) !== articleId);
+  
+  while (isTaken(slug)) {
+    slug = `${base}-${suffix++}`;
+  }
+  return slug;
+}
+
+function calculateReadTime(content = '') {
+  const wordsPerMinute = 200;
+  const wordCount = content.split(/\s+/).length;
+  return Math.ceil(wordCount / wordsPerMinute);
+}
+
+function parsePublishAt(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+function getArticleStatus(article) {
+  if (!article.published) return 'draft';
+  if (article.publishAt && article.publishAt > new Date()) return 'scheduled';
+  return 'published';
+}
+
+const isArticleLive = article => getArticleStatus(article) === 'published';
+
+// Fields editors may set; counters, comments and slugs are managed by the server
+const ARTICLE_EDITABLE_FIELDS = ['title', 'excerpt', 'content', 'category', 'tags', 'coverImage', 'published', 'publishAt'];
+
+// Articles Routes
+app.get('/api/articles', optionalAuthenticate, (req, res) => {
+  try {
+    const { tag, category, limit = 10, page = 1 } = req.query;
+    
+    let articleList = Array.from(articles.values())
+      .filter(isArticleLive);
+    
+    if (tag) {
+      articleList = articleList.filter(a => a.tags.includes(tag));
+    }
+    if (category) {
+      articleList = articleList.filter(a => a.category === category);
+    }
+    
+    articleList.sort((a, b) => (b.publishAt || b.createdAt) - (a.publishAt || a.createdAt));
+    
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedArticles = articleList.slice(start, start + parseInt(limit));
+    
+    const articlesWithAuthor = paginatedArticles.map(({ comments, ...article }) => {
+      const author = users.get(article.author);
+      return {
+        ...article,
+        commentCount: countApprovedComments({ comments }),
+        likedByMe: isLikedBy('article', article.id, req.user),
+        author: author ? {
+          id: author.id,
+          username: author.username,
+          profilePicture: author.profilePicture
+        } : null
+      };
+    });
+    
+    res.json({
+      articles: articlesWithAuthor,
+      total: articleList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(articleList.length / parseInt(limit))
+    });
+  } catch (error) {
+    logger.error('Get articles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/articles/:slug', optionalAuthenticate, (req, res) => {
+  try {
+    // Old slugs keep working after a title change
+    const articleId = articlesBySlug.get(req.params.slug);
+    const renamedId = !articleId && articlesByPreviousSlug.get(req.params.slug);
+    const article = articles.get(articleId || renamedId);
+    
+    const isEditorPreview = hasPermission(req.user?.role, 'articles:manage');
+    if (!article || (!isArticleLive(article) && !isEditorPreview)) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    if (renamedId) {
+      return res.redirect(301, `/api/articles/${article.slug}`);
+    }
+    
+    recordView(req, articles, 'article', article, 'articles:manage');
+    
+    const { html, toc } = renderArticleContent(article);
+    
+    const author = users.get(article.author);
+    const articleWithAuthor = {
+      ...article,
+      contentHtml: html,
+      toc,
+      author: author ? {
+        id: author.id,
+        username: author.username,
+        profilePicture: author.profilePicture,
+        bio: author.bio
+      } : null,
+      comments: buildCommentTree(article, req.user),
+      commentCount: countApprovedComments(article),
+      likedByMe: isLikedBy('article', article.id, req.user)
+    };
+    
+    res.json(articleWithAuthor);
+  } catch (error) {
+    logger.error('Get article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/articles', authenticateToken, requirePermission('articles:manage'), upload.single('coverImage'), parseJsonData, [
+  body('title').isString().trim().isLength({ min: 1 }),
+  body('content').optional().isString(),
+  body('tags').optional().isArray()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const articleData = req.body;
+    const file = req.file;
+    
+    let coverImageUrl = '';
+    if (file) {
+      coverImageUrl = `/uploads/${file.filename}`;
+    }
+    
+    const slug = uniqueSlug(articleData.title);
+    const readTime = calculateReadTime(articleData.content);
+    
+    const article = {
+      id: uuidv4(),
+      ...pickFields(articleData, ARTICLE_EDITABLE_FIELDS),
+      coverImage: coverImageUrl || articleData.coverImage,
+      author: req.user.id,
+      slug,
+      previousSlugs: [],
+      readTime,
+      views: 0,
+      likes: 0,
+      comments: [],
+      published: articleData.published !== false,
+      publishAt: parsePublishAt(articleData.publishAt),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    
+    articles.set(article.id, article);
+    
+    res.status(201).json(article);
+  } catch (error) {
+    logger.error('Create article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/articles/:id', authenticateToken, requirePermission('articles:manage'), upload.single('coverImage'), parseJsonData, (req, res) => {
+  try {
+    const article = articles.get(req.params.id);
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    
+    const editable = pickFields(req.body, ARTICLE_EDITABLE_FIELDS);
+    
+    const updatedArticle = {
+      ...article,
+      ...editable,
+      updatedAt: new Date()
+    };
+    
+    if (req.file) {
+      updatedArticle.coverImage = `/uploads/${req.file.filename}`;
+    }
+    if ('published' in editable) {
+      updatedArticle.published = editable.published !== false;
+    }
+    if ('publishAt' in editable) {
+      updatedArticle.publishAt = parsePublishAt(editable.publishAt);
+    }
+    if ('content' in editable) {
+      updatedArticle.readTime = calculateReadTime(editable.content);
+    }
+    
+    if (editable.title && editable.title !== article.title) {
+      const newSlug = uniqueSlug(editable.title, article.id);
+      if (newSlug !== article.slug) {
+        updatedArticle.previousSlugs = [...(article.previousSlugs || []), article.slug]
+          .filter(oldSlug => oldSlug !== newSlug);
+        updatedArticle.slug = newSlug;
+      }
+    }
+    
+    articles.set(article.id, updatedArticle);
+    
+    res.json({ ...updatedArticle, status: getArticleStatus(updatedArticle) });
+  } catch (error) {
+    logger.error('Update article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/articles/:id', authenticateToken, requirePermission('articles:manage'), (req, res) => {
+  try {
+    if (!articles.has(req.params.id)) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    
+    articles.delete(req.params.id);
+    renderedArticles.delete(req.params.id);
+    deleteLikesFor(req.params.id);
+    viewHistory.delete(`article:${req.params.id}`);
+    
+    res.json({ message: 'Article deleted successfully' });
+  } catch (error) {
+    logger.error('Delete article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/articles/:id/like', authenticateToken, (req, res) => {
+  try {
+    const article = articles.get(req.params.id);
+    if (!article || !isArticleLive(article)) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    
+    res.json(setLiked(articles, 'article', article, req.user.id, true));
+  } catch (error) {
+    logger.error('Like article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/articles/:id/like', authenticateToken, (req, res) => {
+  try {
+    const article = articles.get(req.params.id);
+    if (!article) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    
+    res.json(setLiked(articles, 'article', article, req.user.id, false));
+  } catch (error) {
+    logger.error('Unlike article error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/articles/:id/comments', optionalAuthenticate, (req, res) => {
+  try {
+    const article = articles.get(req.params.id);
+    if (!article || !isArticleLive(article)) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    
+    res.json({
+      comments: buildCommentTree(article, req.user),
+      total: countApprovedComments(article)
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.post('/api/articles/:id/comments', authenticateToken, requireVerifiedEmail, [
+  body('content').isLength({ min: 1, max: 500 }).trim().escape(),
+  body('parentId').optional({ nullable: true }).isUUID()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const article = articles.get(req.params.id);
+    if (!article || !isArticleLive(article)) {
+      return res.status(404).json({ message: 'Article not found' });
+    }
+    
+    const { content, parentId } = req.body;
+    if (parentId) {
+      const parent = article.comments.find(c => c.id === parentId);
+      if (!parent || parent.deleted || getCommentStatus(parent) !== 'approved') {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      if (getCommentDepth(article, parent) + 1 >= MAX_COMMENT_DEPTH) {
+        return res.status(400).json({ message: 'Replies cannot be nested any deeper' });
+      }
+    }
+    
+    const user = users.get(req.user.id);
+    const spamReasons = hasPermission(user.role, 'comments:moderate') ? [] : detectSpam(content, user);
+    
+    const comment = {
+      id: uuidv4(),
+      user: req.user.id,
+      parentId: parentId || null,
+      content,
+      status: spamReasons.length > 0 ? 'pending' : 'approved',
+      spamReasons,
+      createdAt: new Date()
+    };
+    
+    article.comments.push(comment);
+    articles.set(article.id, article);
+    
+    if (comment.status === 'pending') {
+      logger.info(`Comment ${comment.id} held for moderation: ${spamReasons.join(', ')}`);
+    }
+    
+    res.status(201).json({
+      message: comment.status === 'pending' ? 'Comment is awaiting moderation' : 'Comment added successfully',
+      comment: { ...serializeComment(comment, req.user), replies: [] }
+    });
+  } catch (error) {
+    logger.error('Add comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/articles/:id/comments/:commentId', authenticateToken, [
+  body('content').isLength({ min: 1, max: 500 }).trim().escape()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const article = articles.get(req.params.id);
+    const comment = article?.comments.find(c => c.id === req.params.commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    if (comment.user !== req.user.id) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+    if (!isWithinEditWindow(comment)) {
+      return res.status(403).json({ message: 'Comments can only be edited within 15 minutes of posting' });
+    }
+    
+    const user = users.get(req.user.id);
+    const spamReasons = hasPermission(user.role, 'comments:moderate')
+      ? []
+      : detectSpam(req.body.content, user).filter(reason => reason !== 'duplicate comment');
     
-    const user = {
-      id: userId,
-      username,
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    if (spamReasons.length > 0) {
+      comment.status = 'pending';
+      comment.spamReasons = spamReasons;
+    }
+    articles.set(article.id, article);
+    
+    res.json({
+      message: comment.status === 'pending' ? 'Comment is awaiting moderation' : 'Comment updated successfully',
+      comment: serializeComment(comment, req.user)
+    });
+  } catch (error) {
+    logger.error('Edit comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/articles/:id/comments/:commentId', authenticateToken, (req, res) => {
+  try {
+    const article = articles.get(req.params.id);
+    const comment = article?.comments.find(c => c.id === req.params.commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const canModerate = hasPermission(req.user.role, 'comments:moderate');
+    if (!canModerate) {
+      if (comment.user !== req.user.id) {
+        return res.status(403).json({ message: 'You can only delete your own comments' });
+      }
+      if (!isWithinEditWindow(comment)) {
+        return res.status(403).json({ message: 'Comments can only be deleted within 15 minutes of posting' });
+      }
+    }
+    
+    // Keep a placeholder when other people have replied, so their replies stay in context
+    if (article.comments.some(c => c.parentId === comment.id)) {
+      comment.deleted = true;
+      comment.content = '';
+      comment.deletedAt = new Date();
+    } else {
+      article.comments = article.comments.filter(c => c.id !== comment.id);
+    }
+    articles.set(article.id, article);
+    
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Contact Routes
+app.get('/api/contact/challenge', (req, res) => {
+  res.json(issueContactChallenge());
+});
+
+app.post('/api/contact', [
+  body('name').isLength({ min: 2 }).trim().escape(),
+  body('email').isEmail().normalizeEmail(),
+  body('subject').isLength({ min: 3 }).trim().escape(),
+  body('message').isLength({ min: 10 }).trim().escape()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const { name, email, subject, message, website, challengeToken, nonce } = req.body;
+    
+    // Bots that fill the hidden field get a normal-looking answer and nothing else
+    if (website) {
+      recordContactRejection(req, 'honeypot', email);
+      return res.status(201).json({ message: 'Message sent successfully' });
+    }
+    
+    const challengeError = verifyContactChallenge(challengeToken, nonce);
+    if (challengeError) {
+      recordContactRejection(req, challengeError, email);
+      return res.status(400).json({ message: 'Verification failed, please try again' });
+    }
+    
+    const retryAfter = getContactRetryAfter(email);
+    if (retryAfter > 0) {
+      recordContactRejection(req, 'email throttled', email);
+      res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+      return res.status(429).json({ message: 'You have already sent a message recently, please try again later' });
+    }
+    
+    const blockedTerm = findBlockedTerm(name, subject, message);
+    
+    const contactMessage = {
+      id: uuidv4(),
+      name,
       email,
-      password: hashedPassword,
-      role: 'user',
-      profilePicture: `https://ui-avatars.com/api/?name=${encodeURIComponent(username)}&background=random&color=fff&size=128`,
-      bio: '',
-      socialLinks: {
-        github: '',
-        linkedin: '',
-        twitter: '',
-        instagram: ''
-      },
-      createdAt: new Date(),
-      lastLogin: null
+      subject,
+      message,
+      status: blockedTerm ? 'spam' : 'inbox',
+      read: false,
+      replied: false,
+      thread: [],
+      createdAt: new Date()
     };
     
-    users.set(userId, user);
-    usersByEmail.set(email, userId);
-    usersByUsername.set(username, userId);
+    messages.set(contactMessage.id, contactMessage);
+    
+    // Blocked content is kept in the spam folder for review but triggers no emails
+    if (blockedTerm) {
+      recordContactRejection(req, 'blocklist', email);
+      return res.status(201).json({ message: 'Message sent successfully' });
+    }
+    
+    if (CONTACT_EMAIL) {
+      queueEmail('contact-notification', CONTACT_EMAIL, { name, email, subject, message });
+    }
+    queueEmail('contact-auto-reply', email, { name });
+    
+    res.status(201).json({ message: 'Message sent successfully' });
+  } catch (error) {
+    logger.error('Contact form error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Chat Routes
+// Chat text is kept as typed for the model; every place that displays it escapes it.
+// A message needs text, images (uploaded first via /api/chat/attachments) or both.
+const chatMessageValidators = [
+  body('message').optional().isString().trim(),
+  body('attachments').optional().isArray({ max: CHAT_MAX_ATTACHMENTS }),
+  body('attachments.*').isString().matches(/^\/uploads\/[\w.-]+$/),
+  body('message').custom((message, { req }) => Boolean(message) || (req.body.attachments || []).length > 0)
+    .withMessage('Message or image required')
+];
+
+// Validates the chat request body and returns the user's message to store, or sends a 400
+function readChatMessage(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+  
+  const attachments = resolveChatAttachments(req, req.body.attachments);
+  if (!attachments) {
+    res.status(400).json({ message: 'Attachment not found' });
+    return null;
+  }
+  
+  return {
+    role: 'user',
+    content: req.body.message || '',
+    ...(attachments.length ? { attachments } : {})
+  };
+}
+
+app.post('/api/chat/attachments', chatUploadLimiter, optionalAuthenticate, upload.single('image'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'No image uploaded' });
+  }
+  
+  chatUploads.set(req.file.filename, {
+    filename: req.file.filename,
+    userId: req.user?.id || null,
+    visitorId: req.user ? null : getChatVisitorId(req, res, { create: true }),
+    sessionId: null,
+    createdAt: new Date()
+  });
+  
+  res.status(201).json({
+    url: `/uploads/${req.file.filename}`,
+    name: req.file.originalname,
+    size: req.file.size
+  });
+});
+
+app.post('/api/chat', optionalAuthenticate, chatMessageValidators, async (req, res) => {
+  const userMessage = readChatMessage(req, res);
+  if (!userMessage) return;
+  
+  try {
+    const chatSession = resolveChatSession(req, res, req.body.sessionId);
+    appendChatMessage(chatSession, userMessage);
+    
+    const aiResponse = await fetchChatReply(buildChatMessages(chatSession.messages));
+    appendChatMessage(chatSession, { role: 'assistant', content: aiResponse });
+    
+    res.json({
+      message: aiResponse,
+      html: renderMarkdown(aiResponse).html,
+      sessionId: chatSession.sessionId
+    });
+  } catch (error) {
+    logger.error('Chat API error:', error);
+    res.status(500).json({ 
+      message: 'Maaf, layanan chat sedang bermasalah. Silakan coba lagi nanti.' 
+    });
+  }
+});
+
+// Streams the reply as Server-Sent Events: "session", then "token" events,
+// then "done". Closing the connection stops generation.
+app.post('/api/chat/stream', optionalAuthenticate, chatMessageValidators, async (req, res) => {
+  const userMessage = readChatMessage(req, res);
+  if (!userMessage) return;
+  
+  const chatSession = resolveChatSession(req, res, req.body.sessionId);
+  appendChatMessage(chatSession, userMessage);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  sendServerEvent(res, 'session', { sessionId: chatSession.sessionId });
+  
+  let reply = '';
+  try {
+    for await (const token of streamChatReply(buildChatMessages(chatSession.messages), { signal: controller.signal })) {
+      reply += token;
+      sendServerEvent(res, 'token', { text: token });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      logger.error('Chat stream error:', error);
+      sendServerEvent(res, 'error', { message: 'Maaf, layanan chat sedang bermasalah. Silakan coba lagi nanti.' });
+    }
+  }
+  
+  // Keep whatever was shown, even if the visitor stopped generation midway
+  if (reply) {
+    appendChatMessage(chatSession, {
+      role: 'assistant',
+      content: reply.trim(),
+      ...(controller.signal.aborted ? { stopped: true } : {})
+    });
+  }
+  
+  if (!controller.signal.aborted) {
+    sendServerEvent(res, 'done', { message: reply.trim(), html: renderMarkdown(reply.trim()).html });
+    res.end();
+  }
+});
+
+app.get('/api/chat/history/:sessionId', optionalAuthenticate, (req, res) => {
+  try {
+    const chatSession = findOwnChatSession(req, req.params.sessionId);
+    
+    if (!chatSession) {
+      return res.status(404).json({ message: 'Chat session not found' });
+    }
+    
+    res.json({ sessionId: chatSession.sessionId, messages: chatSession.messages.map(toChatMessageView) });
+  } catch (error) {
+    logger.error('Get chat history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The requester's own conversations, most recent first
+app.get('/api/chat/sessions', optionalAuthenticate, (req, res) => {
+  try {
+    const sessionList = listOwnChatSessions(req)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(summarizeChatSession);
+    
+    res.json({ sessions: sessionList });
+  } catch (error) {
+    logger.error('List chat sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/chat/sessions/:sessionId', optionalAuthenticate, [
+  body('title').isLength({ min: 1, max: 80 }).trim()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const chatSession = findOwnChatSession(req, req.params.sessionId);
+    
+    if (!chatSession) {
+      return res.status(404).json({ message: 'Chat session not found' });
+    }
+    
+    chatSession.title = req.body.title;
+    chatSessions.set(chatSession.sessionId, chatSession);
+    res.json(summarizeChatSession(chatSession));
+  } catch (error) {
+    logger.error('Rename chat session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/chat/sessions/:sessionId', optionalAuthenticate, (req, res) => {
+  try {
+    const chatSession = findOwnChatSession(req, req.params.sessionId);
+    
+    if (!chatSession) {
+      return res.status(404).json({ message: 'Chat session not found' });
+    }
+    
+    deleteChatSession(chatSession);
+    res.json({ message: 'Chat session deleted' });
+  } catch (error) {
+    logger.error('Delete chat session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deletes all of the requester's chat history
+app.delete('/api/chat/sessions', optionalAuthenticate, (req, res) => {
+  try {
+    const sessionList = listOwnChatSessions(req);
+    sessionList.forEach(deleteChatSession);
+    
+    res.json({ message: 'Chat history deleted', deleted: sessionList.length });
+  } catch (error) {
+    logger.error('Delete chat history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// User Profile Routes
+app.get('/api/user/profile', authenticateToken, (req, res) => {
+  try {
+    const user = users.get(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const { password, ...userWithoutPassword } = user;
+    res.json({ ...userWithoutPassword, permissions: getPermissions(user.role) });
+  } catch (error) {
+    logger.error('Get profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const SOCIAL_LINK_KEYS = ['github', 'linkedin', 'twitter', 'instagram'];
+
+app.put('/api/user/profile', authenticateToken, upload.single('profilePicture'), parseJsonData, [
+  body('username').optional().isLength({ min: 3 }).trim().escape(),
+  body('bio').optional().isString().isLength({ max: 500 }).trim().escape(),
+  body('socialLinks').optional().isObject(),
+  ...SOCIAL_LINK_KEYS.map(key => body(`socialLinks.${key}`).optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }))
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const file = req.file;
+    
+    const user = users.get(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Only these fields are editable here; role, email and the rest stay as they are
+    const { username, bio, socialLinks = {} } = req.body;
+    const updateData = {};
+    if (username !== undefined) updateData.username = username;
+    if (bio !== undefined) updateData.bio = bio;
+    
+    if (updateData.username && usersByUsername.has(updateData.username) &&
+        usersByUsername.get(updateData.username) !== user.id) {
+      return res.status(400).json({ message: 'Username is already taken' });
+    }
+    
+    if (file) {
+      updateData.profilePicture = `/uploads/${file.filename}`;
+    }
+    
+    const links = { ...user.socialLinks };
+    for (const key of SOCIAL_LINK_KEYS) {
+      if (socialLinks[key] !== undefined) links[key] = socialLinks[key] || '';
+    }
+    
+    const updatedUser = { ...user, ...updateData, socialLinks: links };
+    
+    users.set(req.user.id, updatedUser);
     
-    const token = jwt.sign(
-      { id: userId, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { password, ...userWithoutPassword } = updatedUser;
+    res.json({ ...userWithoutPassword, permissions: getPermissions(updatedUser.role) });
+  } catch (error) {
+    logger.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Session Routes
+app.get('/api/user/sessions', authenticateToken, (req, res) => {
+  try {
+    const sessionList = Array.from(sessions.values())
+      .filter(session => session.userId === req.user.id && isSessionActive(session))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(session => ({
+        id: session.id,
+        device: describeUserAgent(session.userAgent),
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.id === req.user.sid
+      }));
     
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        profilePicture: user.profilePicture
-      }
-    });
+    res.json({ sessions: sessionList });
   } catch (error) {
-    logger.error('Registration error:', error);
+    logger.error('Get sessions error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/auth/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty()
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  
+app.delete('/api/user/sessions/:id', authenticateToken, (req, res) => {
   try {
-    const { email, password } = req.body;
-    
-    const userId = usersByEmail.get(email);
-    if (!userId) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    const session = sessions.get(req.params.id);
+    if (!session || session.userId !== req.user.id || !isSessionActive(session)) {
+      return res.status(404).json({ message: 'Session not found' });
     }
     
-    const user = users.get(userId);
-    const validPassword = await bcrypt.compare(password, user.password);
+    revokeSession(session);
     
-    if (!validPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.delete('/api/user/sessions', authenticateToken, (req, res) => {
+  try {
+    let revoked = 0;
+    for (const session of sessions.values()) {
+      if (session.userId === req.user.id && session.id !== req.user.sid && isSessionActive(session)) {
+        revokeSession(session);
+        revoked += 1;
+      }
     }
     
-    user.lastLogin = new Date();
-    users.set(userId, user);
-    
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        profilePicture: user.profilePicture
-      }
-    });
+    res.json({ message: `Signed out of ${revoked} other session(s)`, revoked });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Revoke sessions error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Projects Routes
-app.get('/api/projects', (req, res) => {
+// Admin Routes
+const MESSAGE_STATUSES = ['inbox', 'archived', 'spam'];
+const MESSAGE_BULK_ACTIONS = ['read', 'unread', 'inbox', 'archive', 'spam', 'delete'];
+
+// Messages received before the inbox workflow have no status or thread
+const normalizeMessage = (message) => ({ status: 'inbox', thread: [], ...message });
+
+// Adds the outbox delivery status to each reply
+const serializeMessage = (message) => {
+  const normalized = normalizeMessage(message);
+  return {
+    ...normalized,
+    thread: normalized.thread.map(reply => ({
+      ...reply,
+      delivery: emailOutbox.get(reply.emailId)?.status || 'sent'
+    }))
+  };
+};
+
+function applyMessageAction(message, action) {
+  if (action === 'delete') {
+    messages.delete(message.id);
+  } else if (action === 'read' || action === 'unread') {
+    message.read = action === 'read';
+    messages.set(message.id, message);
+  } else {
+    message.status = { inbox: 'inbox', archive: 'archived', spam: 'spam' }[action];
+    messages.set(message.id, message);
+  }
+}
+
+app.get('/api/admin/messages', authenticateToken, requirePermission('messages:manage'), (req, res) => {
   try {
-    const { category, featured, limit = 10, page = 1 } = req.query;
+    const { read, status = 'inbox', q, limit = 20, page = 1 } = req.query;
     
-    let projectList = Array.from(projects.values());
+    const allMessages = Array.from(messages.values()).map(normalizeMessage);
+    let messageList = allMessages;
     
-    if (category) {
-      projectList = projectList.filter(p => p.category === category);
+    if (status !== 'all') {
+      messageList = messageList.filter(m => m.status === status);
     }
-    if (featured === 'true') {
-      projectList = projectList.filter(p => p.featured);
+    if (read === 'true') {
+      messageList = messageList.filter(m => m.read);
+    } else if (read === 'false') {
+      messageList = messageList.filter(m => !m.read);
+    }
+    if (typeof q === 'string' && q.trim()) {
+      const needle = q.trim().toLowerCase();
+      messageList = messageList.filter(m =>
+        [m.name, m.email, m.subject].some(field => field && field.toLowerCase().includes(needle))
+      );
     }
     
-    projectList.sort((a, b) => {
-      if (a.featured && !b.featured) return -1;
-      if (!a.featured && b.featured) return 1;
-      return b.createdAt - a.createdAt;
-    });
+    messageList.sort((a, b) => b.createdAt - a.createdAt);
     
     const start = (parseInt(page) - 1) * parseInt(limit);
-    const paginatedProjects = projectList.slice(start, start + parseInt(limit));
+    const paginatedMessages = messageList.slice(start, start + parseInt(limit));
+    
+    const counts = { unread: allMessages.filter(m => m.status === 'inbox' && !m.read).length };
+    MESSAGE_STATUSES.forEach(s => {
+      counts[s] = allMessages.filter(m => m.status === s).length;
+    });
     
     res.json({
-      projects: paginatedProjects,
-      total: projectList.length,
+      messages: paginatedMessages.map(serializeMessage),
+      total: messageList.length,
       page: parseInt(page),
-      totalPages: Math.ceil(projectList.length / parseInt(limit))
+      totalPages: Math.ceil(messageList.length / parseInt(limit)),
+      counts
     });
   } catch (error) {
-    logger.error('Get projects error:', error);
+    logger.error('Get messages error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/projects/:id', (req, res) => {
+app.get('/api/admin/messages/:id', authenticateToken, requirePermission('messages:manage'), (req, res) => {
   try {
-    const project = projects.get(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const message = messages.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
     }
     
-    project.views += 1;
-    projects.set(project.id, project);
-    
-    res.json(project);
+    res.json(serializeMessage(message));
   } catch (error) {
-    logger.error('Get project error:', error);
+    logger.error('Get message error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/projects', authenticateToken, isAdmin, upload.array('images', 5), (req, res) => {
+app.put('/api/admin/messages/:id/read', authenticateToken, requirePermission('messages:manage'), (req, res) => {
   try {
-    const projectData = JSON.parse(req.body.data);
-    const files = req.files || [];
-    
-    const imageUrls = files.map(file => `/uploads/${file.filename}`);
-    
-    const project = {
-      id: uuidv4(),
-      ...projectData,
-      image: imageUrls[0] || projectData.image || '',
-      images: imageUrls.length > 0 ? imageUrls : (projectData.images || []),
-      views: 0,
-      likes: 0,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    const message = messages.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
     
-    projects.set(project.id, project);
+    message.read = true;
+    messages.set(req.params.id, message);
     
-    res.status(201).json(project);
+    res.json(serializeMessage(message));
   } catch (error) {
-    logger.error('Create project error:', error);
+    logger.error('Mark message read error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/projects/:id', authenticateToken, isAdmin, (req, res) => {
+app.post('/api/admin/messages/:id/reply', authenticateToken, requirePermission('messages:manage'), [
+  body('body').isLength({ min: 1, max: 5000 }).trim().escape()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const project = projects.get(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const stored = messages.get(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ message: 'Message not found' });
     }
+    const message = normalizeMessage(stored);
     
-    const updatedProject = {
-      ...project,
-      ...req.body,
-      updatedAt: new Date()
-    };
+    const email = queueEmail('message-reply', message.email, {
+      name: message.name,
+      subject: message.subject,
+      reply: req.body.body,
+      original: message.message,
+      receivedAt: message.createdAt
+    });
     
-    projects.set(req.params.id, updatedProject);
+    message.thread.push({
+      id: uuidv4(),
+      author: req.user.id,
+      body: req.body.body,
+      emailId: email.id,
+      sentAt: new Date()
+    });
+    message.read = true;
+    message.replied = true;
+    message.repliedAt = new Date();
+    messages.set(message.id, message);
     
-    res.json(updatedProject);
+    res.status(201).json(serializeMessage(message));
   } catch (error) {
-    logger.error('Update project error:', error);
+    logger.error('Reply to message error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.delete('/api/projects/:id', authenticateToken, isAdmin, (req, res) => {
+app.put('/api/admin/messages/:id/status', authenticateToken, requirePermission('messages:manage'), [
+  body('status').isIn(MESSAGE_STATUSES)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    if (!projects.has(req.params.id)) {
-      return res.status(404).json({ message: 'Project not found' });
+    const message = messages.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
     }
     
-    projects.delete(req.params.id);
+    message.status = req.body.status;
+    messages.set(message.id, message);
     
-    res.json({ message: 'Project deleted successfully' });
+    res.json(serializeMessage(message));
   } catch (error) {
-    logger.error('Delete project error:', error);
+    logger.error('Update message status error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/projects/:id/like', authenticateToken, (req, res) => {
+app.delete('/api/admin/messages/:id', authenticateToken, requirePermission('messages:manage'), (req, res) => {
   try {
-    const project = projects.get(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    if (!messages.delete(req.params.id)) {
+      return res.status(404).json({ message: 'Message not found' });
     }
     
-    project.likes += 1;
-    projects.set(project.id, project);
-    
-    res.json({ likes: project.likes });
+    res.json({ message: 'Message deleted successfully' });
   } catch (error) {
-    logger.error('Like project error:', error);
+    logger.error('Delete message error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Articles Routes
-app.get('/api/articles', (req, res) => {
+app.post('/api/admin/messages/bulk', authenticateToken, requirePermission('messages:manage'), [
+  body('ids').isArray({ min: 1, max: 100 }),
+  body('action').isIn(MESSAGE_BULK_ACTIONS)
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const { tag, category, limit = 10, page = 1 } = req.query;
-    
-    let articleList = Array.from(articles.values())
-      .filter(a => a.published);
-    
-    if (tag) {
-      articleList = articleList.filter(a => a.tags.includes(tag));
-    }
-    if (category) {
-      articleList = articleList.filter(a => a.category === category);
+    let affected = 0;
+    for (const id of req.body.ids) {
+      const message = messages.get(String(id));
+      if (!message) continue;
+      applyMessageAction(message, req.body.action);
+      affected += 1;
     }
     
-    articleList.sort((a, b) => b.createdAt - a.createdAt);
-    
-    const start = (parseInt(page) - 1) * parseInt(limit);
-    const paginatedArticles = articleList.slice(start, start + parseInt(limit));
-    
-    const articlesWithAuthor = paginatedArticles.map(article => {
-      const author = users.get(article.author);
-      return {
-        ...article,
-        author: author ? {
-          id: author.id,
-          username: author.username,
-          profilePicture: author.profilePicture
-        } : null
-      };
-    });
-    
-    res.json({
-      articles: articlesWithAuthor,
-      total: articleList.length,
-      page: parseInt(page),
-      totalPages: Math.ceil(articleList.length / parseInt(limit))
-    });
+    res.json({ message: `${affected} messages updated`, affected });
   } catch (error) {
-    logger.error('Get articles error:', error);
+    logger.error('Bulk message action error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/articles/:slug', (req, res) => {
+// Email outbox
+app.get('/api/admin/emails', authenticateToken, requirePermission('messages:manage'), (req, res) => {
   try {
-    const articleId = articlesBySlug.get(req.params.slug);
-    if (!articleId) {
-      return res.status(404).json({ message: 'Article not found' });
+    const { status, limit = 20, page = 1 } = req.query;
+    
+    let emailList = Array.from(emailOutbox.values());
+    if (status) {
+      emailList = emailList.filter(e => e.status === status);
     }
     
-    const article = articles.get(articleId);
-    article.views += 1;
-    articles.set(articleId, article);
+    emailList.sort((a, b) => b.createdAt - a.createdAt);
     
-    const author = users.get(article.author);
-    const articleWithAuthor = {
-      ...article,
-      author: author ? {
-        id: author.id,
-        username: author.username,
-        profilePicture: author.profilePicture,
-        bio: author.bio
-      } : null
-    };
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedEmails = emailList
+      .slice(start, start + parseInt(limit))
+      .map(({ html, ...email }) => email);
     
-    res.json(articleWithAuthor);
+    res.json({
+      emails: paginatedEmails,
+      total: emailList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(emailList.length / parseInt(limit)),
+      mode: EMAIL_MODE
+    });
   } catch (error) {
-    logger.error('Get article error:', error);
+    logger.error('Get emails error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/articles', authenticateToken, isAdmin, upload.single('coverImage'), (req, res) => {
+app.post('/api/admin/emails/:id/retry', authenticateToken, requirePermission('messages:manage'), (req, res) => {
   try {
-    const articleData = JSON.parse(req.body.data);
-    const file = req.file;
-    
-    let coverImageUrl = '';
-    if (file) {
-      coverImageUrl = `/uploads/${file.filename}`;
+    const email = emailOutbox.get(req.params.id);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+    if (email.status !== 'failed') {
+      return res.status(400).json({ message: 'Only failed emails can be retried' });
     }
     
-    const slug = articleData.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
-    
-    const wordsPerMinute = 200;
-    const wordCount = articleData.content.split(/\s+/).length;
-    const readTime = Math.ceil(wordCount / wordsPerMinute);
-    
-    const article = {
-      id: uuidv4(),
-      ...articleData,
-      coverImage: coverImageUrl || articleData.coverImage,
-      author: req.user.id,
-      slug,
-      readTime,
-      views: 0,
-      likes: 0,
-      comments: [],
-      published: true,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    articles.set(article.id, article);
-    articlesBySlug.set(slug, article.id);
+    email.status = 'queued';
+    email.attempts = 0;
+    email.nextAttemptAt = new Date();
+    emailOutbox.set(email.id, email);
+    setImmediate(() => processOutbox().catch(error => logger.error('Outbox error:', error)));
     
-    res.status(201).json(article);
+    const { html, ...emailWithoutBody } = email;
+    res.json(emailWithoutBody);
   } catch (error) {
-    logger.error('Create article error:', error);
+    logger.error('Retry email error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.post('/api/articles/:id/comments', authenticateToken, [
-  body('content').isLength({ min: 1, max: 500 }).trim().escape()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  
+app.get('/api/admin/articles', authenticateToken, requirePermission('articles:manage'), (req, res) => {
   try {
-    const article = articles.get(req.params.id);
-    if (!article) {
-      return res.status(404).json({ message: 'Article not found' });
+    const { status, limit = 20, page = 1 } = req.query;
+    
+    let articleList = Array.from(articles.values())
+      .map(article => ({ ...article, status: getArticleStatus(article) }));
+    
+    if (status) {
+      articleList = articleList.filter(a => a.status === status);
     }
     
-    const comment = {
-      id: uuidv4(),
-      user: req.user.id,
-      content: req.body.content,
-      createdAt: new Date()
-    };
+    articleList.sort((a, b) => b.updatedAt - a.updatedAt);
     
-    article.comments.push(comment);
-    articles.set(article.id, article);
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedArticles = articleList.slice(start, start + parseInt(limit));
     
-    res.status(201).json({ message: 'Comment added successfully', comment });
+    res.json({
+      articles: paginatedArticles,
+      total: articleList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(articleList.length / parseInt(limit))
+    });
   } catch (error) {
-    logger.error('Add comment error:', error);
+    logger.error('Get admin articles error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Contact Routes
-app.post('/api/contact', [
-  body('name').isLength({ min: 2 }).trim().escape(),
-  body('email').isEmail().normalizeEmail(),
-  body('subject').isLength({ min: 3 }).trim().escape(),
-  body('message').isLength({ min: 10 }).trim().escape()
-], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  
+// Comment moderation
+app.get('/api/admin/comments', authenticateToken, requirePermission('comments:moderate'), (req, res) => {
   try {
-    const { name, email, subject, message } = req.body;
-    
-    const contactMessage = {
-      id: uuidv4(),
-      name,
-      email,
-      subject,
-      message,
-      read: false,
-      replied: false,
-      createdAt: new Date()
-    };
-    
-    messages.set(contactMessage.id, contactMessage);
+    const { status = 'pending', limit = 20, page = 1 } = req.query;
     
-    if (transporter) {
-      try {
-        await transporter.sendMail({
-          from: `"Muhammad Teguh Marwin" <${process.env.EMAIL_USER}>`,
-          to: process.env.EMAIL_USER,
-          subject: `New Contact Form: ${subject}`,
-          html: `
-            <h3>New Contact Message</h3>
-            <p><strong>Name:</strong> ${name}</p>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Subject:</strong> ${subject}</p>
-            <p><strong>Message:</strong></p>
-            <p>${message}</p>
-          `
+    const commentList = [];
+    for (const article of articles.values()) {
+      for (const comment of article.comments) {
+        if (comment.deleted || (status !== 'all' && getCommentStatus(comment) !== status)) continue;
+        commentList.push({
+          ...serializeComment(comment, req.user),
+          article: { id: article.id, title: article.title, slug: article.slug }
         });
-        
-        await transporter.sendMail({
-          from: `"Muhammad Teguh Marwin" <${process.env.EMAIL_USER}>`,
-          to: email,
-          subject: 'Thank you for contacting Muhammad Teguh Marwin',
-          html: `
-            <h3>Thank you for reaching out!</h3>
-            <p>Dear ${name},</p>
-            <p>Thank you for contacting me. I have received your message and will get back to you as soon as possible.</p>
-            <p>Best regards,<br>Muhammad Teguh Marwin</p>
-          `
-        });
-      } catch (emailError) {
-        logger.error('Email sending failed:', emailError.message);
       }
-    } else {
-      logger.info('Email would be sent:', { to: email, subject });
     }
     
-    res.status(201).json({ message: 'Message sent successfully' });
+    commentList.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    
+    res.json({
+      comments: commentList.slice(start, start + parseInt(limit)),
+      total: commentList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(commentList.length / parseInt(limit))
+    });
   } catch (error) {
-    logger.error('Contact form error:', error);
+    logger.error('Get comment queue error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Chat Routes
-app.post('/api/chat', [
-  body('message').isLength({ min: 1 }).trim().escape()
-], async (req, res) => {
+app.put('/api/admin/articles/:id/comments/:commentId/status', authenticateToken, requirePermission('comments:moderate'), [
+  body('status').isIn(['approved', 'rejected'])
+], (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
   
   try {
-    const { message, sessionId } = req.body;
-    const userIp = req.ip || req.socket.remoteAddress;
-    const actualSessionId = sessionId || userIp;
-    
-    let chatSession = chatSessions.get(actualSessionId);
-    if (!chatSession) {
-      chatSession = {
-        sessionId: actualSessionId,
-        messages: [],
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      chatSessions.set(actualSessionId, chatSession);
+    const article = articles.get(req.params.id);
+    const comment = article?.comments.find(c => c.id === req.params.commentId);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
     
-    chatSession.messages.push({
-      role: 'user',
-      content: message,
-      timestamp: new Date()
-    });
-    
-    let aiResponse = 'Maaf, layanan AI sedang bermasalah. Silakan coba lagi nanti.';
-    
-    try {
-      const response = await axios.get(process.env.ANABOT_API_URL, {
-        params: {
-          prompt: message,
-          search_enabled: false,
-          thinking_enabled: false,
-          imageUrl: '',
-          apikey: process.env.API_KEY
-        },
-        timeout: 10000
-      });
-      
-      if (response.data?.result?.message) {
-        aiResponse = response.data.result.message;
-      } else if (response.data?.response) {
-        aiResponse = response.data.response;
-      }
-    } catch (apiError) {
-      logger.error('AI API error:', apiError.message);
-      const fallbackResponses = [
-        "Menarik! Ceritakan lebih lanjut tentang itu.",
-        "Saya mengerti. Ada yang bisa saya bantu lagi?",
-        "Terima kasih telah bertanya. Silakan jelaskan lebih detail.",
-        "Maaf, saya sedang mengalami gangguan koneksi. Coba lagi nanti ya.",
-        "Saya ingin tahu lebih banyak. Bisa beri contoh?"
-      ];
-      aiResponse = fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
-    }
-    
-    chatSession.messages.push({
-      role: 'assistant',
-      content: aiResponse,
-      timestamp: new Date()
-    });
-    
-    chatSession.updatedAt = new Date();
-    chatSessions.set(actualSessionId, chatSession);
+    comment.status = req.body.status;
+    comment.moderatedBy = req.user.id;
+    comment.moderatedAt = new Date();
+    articles.set(article.id, article);
     
-    res.json({
-      message: aiResponse,
-      sessionId: chatSession.sessionId
-    });
+    res.json(serializeComment(comment, req.user));
   } catch (error) {
-    logger.error('Chat API error:', error);
-    res.status(500).json({ 
-      message: 'Maaf, layanan chat sedang bermasalah. Silakan coba lagi nanti.' 
-    });
+    logger.error('Moderate comment error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/chat/history/:sessionId', (req, res) => {
+// User management
+app.get('/api/admin/roles', authenticateToken, requirePermission('users:manage'), (req, res) => {
+  res.json({
+    roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions })),
+    permissions: PERMISSIONS
+  });
+});
+
+app.get('/api/admin/users', authenticateToken, requirePermission('users:manage'), (req, res) => {
   try {
-    const chatSession = chatSessions.get(req.params.sessionId);
+    const { q, role, limit = 20, page = 1 } = req.query;
     
-    if (!chatSession) {
-      return res.json({ messages: [] });
+    let userList = Array.from(users.values());
+    
+    if (role) {
+      userList = userList.filter(u => u.role === role);
+    }
+    if (typeof q === 'string' && q.trim()) {
+      const needle = q.trim().toLowerCase();
+      userList = userList.filter(u =>
+        u.username.toLowerCase().includes(needle) || u.email.toLowerCase().includes(needle)
+      );
     }
     
-    res.json({ messages: chatSession.messages });
+    userList.sort((a, b) => b.createdAt - a.createdAt);
+    
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedUsers = userList
+      .slice(start, start + parseInt(limit))
+      .map(({ password, ...userWithoutPassword }) => userWithoutPassword);
+    
+    res.json({
+      users: paginatedUsers,
+      total: userList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(userList.length / parseInt(limit))
+    });
   } catch (error) {
-    logger.error('Get chat history error:', error);
+    logger.error('Get users error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// User Profile Routes
-app.get('/api/user/profile', authenticateToken, (req, res) => {
+// True when the user is the only remaining admin, who must keep that role
+const isLastAdmin = user => user.role === 'admin' &&
+  !Array.from(users.values()).some(other => other.id !== user.id && other.role === 'admin');
+
+app.put('/api/admin/users/:id/role', authenticateToken, requirePermission('users:manage'), [
+  body('role').isIn(Object.keys(ROLE_PERMISSIONS))
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const user = users.get(req.user.id);
+    const user = users.get(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+    if (req.body.role !== 'admin' && isLastAdmin(user)) {
+      return res.status(400).json({ message: 'At least one admin must remain' });
+    }
+    
+    user.role = req.body.role;
+    users.set(user.id, user);
+    logger.info(`User ${user.username} assigned role ${user.role} by ${req.user.username}`);
     
     const { password, ...userWithoutPassword } = user;
     res.json(userWithoutPassword);
   } catch (error) {
-    logger.error('Get profile error:', error);
+    logger.error('Update user role error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.put('/api/user/profile', authenticateToken, upload.single('profilePicture'), (req, res) => {
+app.put('/api/admin/users/:id/suspend', authenticateToken, requirePermission('users:manage'), [
+  body('suspended').isBoolean(),
+  body('reason').optional().isLength({ max: 200 }).trim().escape()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
   try {
-    const updateData = JSON.parse(req.body.data || '{}');
-    const file = req.file;
-    
-    const user = users.get(req.user.id);
+    const user = users.get(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    
-    if (file) {
-      updateData.profilePicture = `/uploads/${file.filename}`;
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot suspend yourself' });
     }
     
-    const updatedUser = {
-      ...user,
-      ...updateData,
-      socialLinks: {
-        ...user.socialLinks,
-        ...(updateData.socialLinks || {})
-      }
-    };
+    user.suspended = req.body.suspended === true || req.body.suspended === 'true';
+    user.suspendedAt = user.suspended ? new Date() : null;
+    user.suspendedReason = user.suspended ? (req.body.reason || '') : '';
+    users.set(user.id, user);
     
-    users.set(req.user.id, updatedUser);
+    if (user.suspended) {
+      revokeUserSessions(user.id);
+    }
     
-    const { password, ...userWithoutPassword } = updatedUser;
+    const { password, ...userWithoutPassword } = user;
     res.json(userWithoutPassword);
   } catch (error) {
-    logger.error('Update profile error:', error);
+    logger.error('Suspend user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin Routes
-app.get('/api/admin/messages', authenticateToken, isAdmin, (req, res) => {
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), (req, res) => {
   try {
-    const { read, limit = 20, page = 1 } = req.query;
-    
-    let messageList = Array.from(messages.values());
-    
-    if (read === 'true') {
-      messageList = messageList.filter(m => m.read);
-    } else if (read === 'false') {
-      messageList = messageList.filter(m => !m.read);
+    const user = users.get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
-    
-    messageList.sort((a, b) => b.createdAt - a.createdAt);
-    
-    const start = (parseInt(page) - 1) * parseInt(limit);
-    const paginatedMessages = messageList.slice(start, start + parseInt(limit));
-    
-    res.json({
-      messages: paginatedMessages,
-      total: messageList.length,
-      page: parseInt(page),
-      totalPages: Math.ceil(messageList.length / parseInt(limit))
-    });
-  } catch (error) {
-    logger.error('Get messages error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-app.put('/api/admin/messages/:id/read', authenticateToken, isAdmin, (req, res) => {
-  try {
-    const message = messages.get(req.params.id);
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    if (isLastAdmin(user)) {
+      return res.status(400).json({ message: 'At least one admin must remain' });
     }
     
-    message.read = true;
-    messages.set(req.params.id, message);
+    revokeUserSessions(user.id);
+    withdrawUserLikes(user.id);
+    deleteUserChats(user.id);
+    users.delete(user.id);
     
-    res.json(message);
+    res.json({ message: 'User deleted successfully' });
   } catch (error) {
-    logger.error('Mark message read error:', error);
+    logger.error('Delete user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.get('/api/admin/analytics', authenticateToken, isAdmin, (req, res) => {
+app.get('/api/admin/analytics', authenticateToken, requirePermission('analytics:view'), (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
-    let filteredAnalytics = [...analytics];
+    let filteredAnalytics = Array.from(analytics.values());
     
     if (startDate && endDate) {
       const start = new Date(startDate);
       const end = new Date(endDate);
-      filteredAnalytics = analytics.filter(a => 
+      filteredAnalytics = filteredAnalytics.filter(a => 
         a.timestamp >= start && a.timestamp <= end
       );
     }
@@ -1137,11 +3970,26 @@ app.get('/api/admin/analytics', authenticateToken, isAdmin, (req, res) => {
     
     const uniqueIPs = new Set(filteredAnalytics.map(a => a.ip));
     
+    let rejections = Array.from(contactRejections.values());
+    if (startDate && endDate) {
+      rejections = rejections.filter(r => r.createdAt >= new Date(startDate) && r.createdAt <= new Date(endDate));
+    }
+    const rejectionsByReason = {};
+    rejections.forEach(r => {
+      rejectionsByReason[r.reason] = (rejectionsByReason[r.reason] || 0) + 1;
+    });
+    
     res.json({
       pageViews: pageViewsArray,
       dailyVisits: dailyVisitsArray,
       uniqueVisitors: uniqueIPs.size,
-      totalVisits: filteredAnalytics.length
+      totalVisits: filteredAnalytics.length,
+      contactRejections: {
+        total: rejections.length,
+        byReason: Object.entries(rejectionsByReason)
+          .map(([reason, count]) => ({ _id: reason, count }))
+          .sort((a, b) => b.count - a.count)
+      }
     });
   } catch (error) {
     logger.error('Get analytics error:', error);
@@ -1149,12 +3997,216 @@ app.get('/api/admin/analytics', authenticateToken, isAdmin, (req, res) => {
   }
 });
 
+app.get('/api/admin/views', authenticateToken, requirePermission('analytics:view'), (req, res) => {
+  try {
+    const { type, limit = 10 } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), VIEW_HISTORY_DAYS);
+    
+    const items = [];
+    if (!type || type === 'project') {
+      for (const project of projects.values()) {
+        items.push({ targetType: 'project', targetId: project.id, title: project.title, allTime: project.views });
+      }
+    }
+    if (!type || type === 'article') {
+      for (const article of articles.values()) {
+        items.push({ targetType: 'article', targetId: article.id, title: article.title, slug: article.slug, allTime: article.views });
+      }
+    }
+    
+    const trends = items
+      .map(item => {
+        const history = getViewSeries(item.targetType, item.targetId, days);
+        return { ...item, history, total: history.reduce((sum, day) => sum + day.count, 0) };
+      })
+      .sort((a, b) => b.total - a.total || b.allTime - a.allTime)
+      .slice(0, parseInt(limit));
+    
+    res.json({ days, items: trends });
+  } catch (error) {
+    logger.error('Get view trends error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Chat transcripts
+const CHAT_EXPORT_FORMATS = ['json', 'csv'];
+
+function getChatOwner(chatSession) {
+  const user = chatSession.userId && users.get(chatSession.userId);
+  return user
+    ? { type: 'user', id: user.id, username: user.username, email: user.email }
+    : { type: 'visitor', id: chatSession.visitorId || null, username: 'Anonymous' };
+}
+
+function toAdminChatSummary(chatSession, transcript, query) {
+  const lastMessage = transcript[transcript.length - 1];
+  const match = query && transcript.find(m => m.content.toLowerCase().includes(query));
+  
+  return {
+    ...summarizeChatSession(chatSession),
+    owner: getChatOwner(chatSession),
+    lastMessage: lastMessage ? truncate(lastMessage.content, 120) : null,
+    match: match ? truncate(match.content, 160) : null,
+    flagged: Boolean(chatSession.flagged),
+    flagNote: chatSession.flagNote || null
+  };
+}
+
+// Applies the shared ?q=&flagged= filters and returns sessions with their transcripts
+function findAdminChats({ q, flagged }) {
+  const query = typeof q === 'string' ? q.trim().toLowerCase() : '';
+  
+  return Array.from(chatSessions.values())
+    .filter(chatSession => flagged === undefined || Boolean(chatSession.flagged) === (flagged === 'true'))
+    .map(chatSession => ({ chatSession, transcript: chatSession.messages }))
+    .filter(({ chatSession, transcript }) => !query ||
+      getChatOwner(chatSession).username.toLowerCase().includes(query) ||
+      transcript.some(m => m.content.toLowerCase().includes(query)))
+    .sort((a, b) => new Date(b.chatSession.updatedAt) - new Date(a.chatSession.updatedAt));
+}
+
+// Quotes a CSV field; a leading =, +, -, @, tab or carriage return is prefixed
+// so spreadsheets don't run it as a formula
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+app.get('/api/admin/chats', authenticateToken, requirePermission('chats:view'), (req, res) => {
+  try {
+    const { q, flagged, limit = 20, page = 1 } = req.query;
+    const query = typeof q === 'string' ? q.trim().toLowerCase() : '';
+    
+    const chatList = findAdminChats({ q, flagged });
+    
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const paginatedChats = chatList
+      .slice(start, start + parseInt(limit))
+      .map(({ chatSession, transcript }) => toAdminChatSummary(chatSession, transcript, query));
+    
+    res.json({
+      sessions: paginatedChats,
+      total: chatList.length,
+      page: parseInt(page),
+      totalPages: Math.ceil(chatList.length / parseInt(limit)),
+      flaggedCount: Array.from(chatSessions.values()).filter(s => s.flagged).length
+    });
+  } catch (error) {
+    logger.error('Get admin chats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Downloads every session matching the list filters, one CSV row per message
+app.get('/api/admin/chats/export', authenticateToken, requirePermission('chats:view'), (req, res) => {
+  try {
+    const { q, flagged, format = 'json' } = req.query;
+    if (!CHAT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${CHAT_EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const chatList = findAdminChats({ q, flagged });
+    const filename = `chat-transcripts-${dayKey(new Date())}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    if (format === 'json') {
+      return res.json({
+        exportedAt: new Date(),
+        sessions: chatList.map(({ chatSession, transcript }) => ({
+          sessionId: chatSession.sessionId,
+          owner: getChatOwner(chatSession),
+          flagged: Boolean(chatSession.flagged),
+          flagNote: chatSession.flagNote ? unescapeText(chatSession.flagNote) : null,
+          createdAt: chatSession.createdAt,
+          updatedAt: chatSession.updatedAt,
+          messages: transcript
+        }))
+      });
+    }
+    
+    const header = ['sessionId', 'owner', 'flagged', 'role', 'timestamp', 'content', 'attachments'];
+    const rows = chatList.flatMap(({ chatSession, transcript }) => {
+      const owner = getChatOwner(chatSession);
+      return transcript.map(m => [
+        chatSession.sessionId,
+        owner.username,
+        chatSession.flagged ? 'yes' : 'no',
+        m.role,
+        new Date(m.timestamp).toISOString(),
+        m.content,
+        (m.attachments || []).map(a => `${APP_URL}${a.url}`).join(' ')
+      ]);
+    });
+    
+    res.type('text/csv').send([header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n'));
+  } catch (error) {
+    logger.error('Export chats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.get('/api/admin/chats/:sessionId', authenticateToken, requirePermission('chats:view'), (req, res) => {
+  try {
+    const chatSession = chatSessions.get(req.params.sessionId);
+    if (!chatSession) {
+      return res.status(404).json({ message: 'Chat session not found' });
+    }
+    
+    res.json({ ...toAdminChatSummary(chatSession, chatSession.messages), messages: chatSession.messages });
+  } catch (error) {
+    logger.error('Get admin chat error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+app.put('/api/admin/chats/:sessionId/flag', authenticateToken, requirePermission('chats:view'), [
+  body('flagged').isBoolean(),
+  body('note').optional().isLength({ max: 500 }).trim().escape()
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const chatSession = chatSessions.get(req.params.sessionId);
+    if (!chatSession) {
+      return res.status(404).json({ message: 'Chat session not found' });
+    }
+    
+    const flagged = req.body.flagged === true || req.body.flagged === 'true';
+    chatSession.flagged = flagged;
+    chatSession.flagNote = flagged ? req.body.note || null : null;
+    chatSession.flaggedAt = flagged ? new Date() : null;
+    chatSession.flaggedBy = flagged ? req.user.id : null;
+    chatSessions.set(chatSession.sessionId, chatSession);
+    
+    res.json(toAdminChatSummary(chatSession, chatSession.messages));
+  } catch (error) {
+    logger.error('Flag chat error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // =====================================================
 // SOCKET.IO CONNECTIONS
 // =====================================================
 
+// Socket clients own chats like HTTP ones: through an access token sent in the
+// handshake, or else through a visitor id that lasts as long as the connection
+function toChatRequest(socket) {
+  const token = socket.handshake.auth?.token;
+  return {
+    user: (token && verifyAccessToken(token)) || undefined,
+    signedCookies: { [CHAT_VISITOR_COOKIE]: socket.data.chatVisitorId }
+  };
+}
+
 io.on('connection', (socket) => {
   logger.info(`🟢 New socket connection: ${socket.id}`);
+  socket.data.chatVisitorId = crypto.randomBytes(16).toString('hex');
   
   socket.on('join', (data) => {
     const room = data.room || 'general';
@@ -1164,40 +4216,23 @@ io.on('connection', (socket) => {
   
   socket.on('chat message', async (data) => {
     try {
-      const room = data.room || 'general';
-      const message = data.message;
+      const message = data?.message;
       
-      if (!message || message.trim().length === 0) return;
+      if (typeof message !== 'string' || message.trim().length === 0) return;
       
-      let aiResponse = 'Maaf, terjadi kesalahan.';
+      // Same conversation handling as /api/chat, so the reply only goes to this socket
+      const chatSession = resolveChatSession(toChatRequest(socket), null, data.sessionId);
+      appendChatMessage(chatSession, { role: 'user', content: message.trim() });
       
-      try {
-        const response = await axios.get(process.env.ANABOT_API_URL, {
-          params: {
-            prompt: message,
-            apikey: process.env.API_KEY
-          },
-          timeout: 5000
-        });
-        
-        aiResponse = response.data?.result?.message || 
-                    response.data?.response || 
-                    'Maaf, tidak bisa memproses pesan Anda.';
-      } catch (apiError) {
-        logger.error('Socket AI API error:', apiError.message);
-        const fallbackResponses = [
-          "Saya sedang belajar. Ceritakan lebih lanjut!",
-          "Menarik! Bisa dijelaskan lebih detail?",
-          "Terima kasih atas masukannya!",
-          "Maaf, saya sedang gangguan. Coba lagi nanti ya."
-        ];
-        aiResponse = fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)];
-      }
+      const aiResponse = await fetchChatReply(buildChatMessages(chatSession.messages));
+      appendChatMessage(chatSession, { role: 'assistant', content: aiResponse });
       
-      io.to(room).emit('chat response', {
+      socket.emit('chat response', {
         user: data.user || 'Anonymous',
         message: message,
         response: aiResponse,
+        html: renderMarkdown(aiResponse).html,
+        sessionId: chatSession.sessionId,
         timestamp: new Date().toISOString()
       });
       
@@ -1290,17 +4325,9 @@ async function gracefulShutdown() {
       logger.info('HTTP server closed');
     });
     
-    users.clear();
-    usersByEmail.clear();
-    usersByUsername.clear();
-    projects.clear();
-    articles.clear();
-    articlesBySlug.clear();
-    messages.clear();
-    chatSessions.clear();
-    analytics.length = 0;
-    
-    logger.info('All in-memory data cleared');
+    await db.flush();
+    
+    logger.info('All data flushed to storage');
     process.exit(0);
   } catch (error) {
     logger.error('Error during graceful shutdown:', error);